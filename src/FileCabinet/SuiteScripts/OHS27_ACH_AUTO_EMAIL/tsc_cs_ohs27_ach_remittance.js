@@ -0,0 +1,57 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType ClientScript
+ * @NModuleScope SameAccount
+ */
+define(['N/currentRecord', 'N/url'],
+
+    (currentRecord, url) => {
+        const SEND_SUITELET_SCRIPT_ID = 'customscript_tsc_sl_ohs27_ach_send';
+        const SEND_SUITELET_DEPLOYMENT_ID = 'customdeploy_tsc_sl_ohs27_ach_send';
+        const PARAM_PAYMENT_ID = 'custparam_tsc_ach_payment_id';
+        const PARAM_SEND_TOKEN = 'custparam_tsc_ach_send_token';
+        // Hidden field the User Event fills with the signed send token
+        const SEND_TOKEN_FIELD = 'custpage_tsc_send_token';
+
+        /**
+         * Function to be executed after page is initialized.
+         * Attached to the vendor payment form by the ACH remittance User Event, only there for the button.
+         * @param {Object} scriptContext
+         * @param {Record} scriptContext.currentRecord - Current form record
+         * @param {string} scriptContext.mode - The mode in which the record is being accessed (create, copy, or edit)
+         * @since 2015.2
+         */
+        const pageInit = (scriptContext) => {
+        }
+
+        // Send Remittance button: posts to the Suitelet, which sends and then returns to the payment with the outcome
+        const sendRemittance = () => {
+            if (!window.confirm('Email the remittance advice for this payment to the vendor now?')) {
+                return;
+            }
+
+            const sendForm = document.createElement('form');
+            sendForm.method = 'POST';
+            sendForm.action = url.resolveScript({
+                scriptId: SEND_SUITELET_SCRIPT_ID,
+                deploymentId: SEND_SUITELET_DEPLOYMENT_ID
+            });
+
+            const payment = currentRecord.get();
+            const addValue = (name, value) => {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.value = value;
+                sendForm.appendChild(input);
+            };
+            addValue(PARAM_PAYMENT_ID, payment.id);
+            addValue(PARAM_SEND_TOKEN, payment.getValue({ fieldId: SEND_TOKEN_FIELD }));
+
+            document.body.appendChild(sendForm);
+            sendForm.submit();
+        };
+
+        return { pageInit, sendRemittance }
+
+    });
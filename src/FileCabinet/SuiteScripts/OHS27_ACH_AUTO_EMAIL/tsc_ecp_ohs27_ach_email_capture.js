@@ -0,0 +1,185 @@
+/**
+ * Email capture plugin for the Reply Capture Address of the ACH remittance email: bounces and vendor replies are
+ * matched back to the remittance by the tracking token in its subject and body (see addTrackingToken in
+ * tsc_lib_ohs27_ach_remittance.js).
+ * - A bounce marks the delivery log and its payments Bounced and adds the address to the payee's bounced addresses,
+ *   so the next remittance leaves it out and the next Map/Reduce run reports it for AP to correct and resend.
+ * - A reply is flagged on the delivery log and forwarded to the AP Mailbox, as is anything that cannot be matched.
+ * Bounces only arrive here when the email author's mailbox forwards them to the Reply Capture Address.
+ *
+ * The Email Capture Plug-in only runs SuiteScript 1.0, so the constants of the remittance library are repeated here.
+ */
+
+// Settings are the parameters of the scheduled Map/Reduce deployment, as for the other on-demand paths
+var TSC_ACH_MR_DEPLOYMENT_ID = 'customdeploy_tsc_mr_ohs27_ach_email';
+var TSC_ACH_PARAM_AP_MAILBOX = 'custscript_tsc_ohs27_ap_mailbox';
+var TSC_ACH_PARAM_EMAIL_AUTHOR = 'custscript_tsc_ohs27_email_author';
+var TSC_ACH_DELIVERY_LOG_RECORD = 'customrecord_tsc_ach_email_delivery_log';
+var TSC_ACH_DELIVERY_LOG_FIELD = {
+    VENDOR: 'custrecord_tsc_achlog_vendor',
+    PAYMENTS: 'custrecord_tsc_achlog_payments',
+    RECIPIENTS: 'custrecord_tsc_achlog_recipients',
+    STATUS: 'custrecord_tsc_achlog_status',
+    ERROR: 'custrecord_tsc_achlog_error',
+    IDEMPOTENCY_KEY: 'custrecord_tsc_achlog_idem_key',
+    REPLIED: 'custrecord_tsc_achlog_replied',
+    BOUNCE_REPORTED: 'custrecord_tsc_achlog_bounce_reported'
+};
+// Internal ID of the Bounced value of customlist_tsc_ach_delivery_status
+var TSC_ACH_STATUS_BOUNCED = '10';
+var TSC_ACH_PAYMENT_FIELD_STATUS = 'custbody_tsc_ach_email_status';
+var TSC_ACH_PAYMENT_FIELD_LAST_ERROR = 'custbody_tsc_ach_email_last_error';
+var TSC_ACH_PAYEE_FIELD_BOUNCED_EMAILS = 'custentity_tsc_ach_bounced_emails';
+var TSC_ACH_TRACKING_TOKEN = /ACH-REF (\d+)-([0-9a-f]{10})/i;
+// Senders and subjects of delivery status notifications, which carry the original message and so its token
+var TSC_ACH_BOUNCE_SENDER = /mailer-daemon|postmaster|mail delivery (subsystem|system)/i;
+var TSC_ACH_BOUNCE_SUBJECT = /undeliverable|undelivered|delivery (status notification|has failed|failure)|returned mail|failure notice|could not be delivered/i;
+var TSC_ACH_EMAIL_ADDRESS = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+/g;
+// Text fields hold at most 300 characters
+var TSC_ACH_MAX_NOTE_LENGTH = 300;
+
+/**
+ * Entry point of the Email Capture Plug-in.
+ * @param {nlobjEmail} email - The captured message
+ */
+function process(email) {
+    var subject = email.getSubject() || '';
+    var body = email.getTextBody() || email.getHtmlBody() || '';
+    var from = email.getFrom();
+    var fromAddress = from ? from.getEmail() || '' : '';
+    var isBounce = TSC_ACH_BOUNCE_SENDER.test(fromAddress + ' ' + (from ? from.getName() || '' : '')) || TSC_ACH_BOUNCE_SUBJECT.test(subject);
+    var delivery = tscAchFindDelivery(subject + '\n' + body);
+
+    if (delivery && isBounce) {
+        tscAchRecordBounce(delivery, body);
+        return;
+    }
+
+    if (delivery) {
+        nlapiSubmitField(TSC_ACH_DELIVERY_LOG_RECORD, delivery.logId, TSC_ACH_DELIVERY_LOG_FIELD.REPLIED, 'T');
+    } else {
+        nlapiLogExecution('AUDIT', 'Unmatched inbound email', isBounce ? 'Bounce without a tracking token' : 'Reply without a tracking token');
+    }
+    tscAchForwardToAp(email, delivery, isBounce);
+}
+
+/**
+ * The delivery log of the tracking token in the text, provided the token's key matches the log's, so a made-up
+ * token cannot touch another log.
+ * @returns {Object|null} { logId, vendorId, paymentIds, recipients }
+ */
+function tscAchFindDelivery(text) {
+    var match = TSC_ACH_TRACKING_TOKEN.exec(text);
+    if (!match) {
+        return null;
+    }
+
+    var fields = nlapiLookupField(TSC_ACH_DELIVERY_LOG_RECORD, match[1], [
+        TSC_ACH_DELIVERY_LOG_FIELD.VENDOR,
+        TSC_ACH_DELIVERY_LOG_FIELD.PAYMENTS,
+        TSC_ACH_DELIVERY_LOG_FIELD.RECIPIENTS,
+        TSC_ACH_DELIVERY_LOG_FIELD.IDEMPOTENCY_KEY
+    ]);
+    if (!fields || String(fields[TSC_ACH_DELIVERY_LOG_FIELD.IDEMPOTENCY_KEY] || '').substring(0, 10).toLowerCase() !== match[2].toLowerCase()) {
+        nlapiLogExecution('AUDIT', 'Tracking token not matched', 'Delivery log ' + match[1]);
+        return null;
+    }
+
+    return {
+        logId: match[1],
+        vendorId: fields[TSC_ACH_DELIVERY_LOG_FIELD.VENDOR],
+        paymentIds: String(fields[TSC_ACH_DELIVERY_LOG_FIELD.PAYMENTS] || '').split(',').filter(function (id) { return /^\d+$/.test(id); }),
+        recipients: String(fields[TSC_ACH_DELIVERY_LOG_FIELD.RECIPIENTS] || '').toLowerCase()
+    };
+}
+
+/**
+ * Marks a bounced remittance. The bounced address is whichever of the delivery's recipients the notification names;
+ * when it names none, only the delivery log and its payments are marked, the payee's bounced addresses are left as
+ * they are so one unreadable notice cannot block addresses that still work.
+ */
+function tscAchRecordBounce(delivery, body) {
+    var bounced = [];
+    (body.match(TSC_ACH_EMAIL_ADDRESS) || []).forEach(function (address) {
+        address = address.toLowerCase();
+        if (delivery.recipients.indexOf(address) !== -1 && bounced.indexOf(address) === -1) {
+            bounced.push(address);
+        }
+    });
+    var note = ('Bounced: ' + (bounced.join(', ') || 'recipient address unknown')).substring(0, TSC_ACH_MAX_NOTE_LENGTH);
+
+    nlapiSubmitField(TSC_ACH_DELIVERY_LOG_RECORD, delivery.logId,
+        [TSC_ACH_DELIVERY_LOG_FIELD.STATUS, TSC_ACH_DELIVERY_LOG_FIELD.ERROR, TSC_ACH_DELIVERY_LOG_FIELD.BOUNCE_REPORTED],
+        [TSC_ACH_STATUS_BOUNCED, note, 'F']);
+
+    // Payments keep their sent flag, they are resent once AP has corrected the address
+    if (delivery.paymentIds.length > 0) {
+        var payments = nlapiSearchRecord('transaction', null, [
+            new nlobjSearchFilter('internalid', null, 'anyof', delivery.paymentIds),
+            new nlobjSearchFilter('mainline', null, 'is', 'T')
+        ]) || [];
+        payments.forEach(function (payment) {
+            nlapiSubmitField(payment.getRecordType(), payment.getId(),
+                [TSC_ACH_PAYMENT_FIELD_STATUS, TSC_ACH_PAYMENT_FIELD_LAST_ERROR], [TSC_ACH_STATUS_BOUNCED, note]);
+        });
+    }
+
+    if (delivery.vendorId && bounced.length > 0) {
+        var payeeType = tscAchGetEntityType(delivery.vendorId);
+        var known = String(nlapiLookupField(payeeType, delivery.vendorId, TSC_ACH_PAYEE_FIELD_BOUNCED_EMAILS) || '')
+            .split(/[,;\s]+/).filter(function (address) { return address; });
+        bounced.forEach(function (address) {
+            if (known.indexOf(address) === -1) {
+                known.push(address);
+            }
+        });
+        nlapiSubmitField(payeeType, delivery.vendorId, TSC_ACH_PAYEE_FIELD_BOUNCED_EMAILS, known.join(', ').substring(0, TSC_ACH_MAX_NOTE_LENGTH));
+    }
+
+    nlapiLogExecution('AUDIT', 'Remittance bounced', 'Delivery log ' + delivery.logId + ', ' + delivery.paymentIds.length + ' payment(s)');
+}
+
+/**
+ * Forwards a reply, or anything not matched to a remittance, to the AP Mailbox with its attachments, shown on the
+ * payee and the first payment when it was matched.
+ */
+function tscAchForwardToAp(email, delivery, isBounce) {
+    var settings = tscAchGetSettings();
+    if (!settings.apMailbox || !settings.authorId) {
+        nlapiLogExecution('AUDIT', 'Inbound email not forwarded', 'No AP Mailbox or Email Author configured');
+        return;
+    }
+
+    var from = email.getFrom();
+    var fromText = from ? (from.getName() ? from.getName() + ' <' + from.getEmail() + '>' : from.getEmail()) : '';
+    var intro = (delivery ? 'Reply to remittance delivery log ' + delivery.logId : isBounce ? 'Unmatched bounce' : 'Unmatched reply')
+        + ' from ' + fromText;
+    var records = delivery ? { entity: delivery.vendorId, transaction: delivery.paymentIds[0] } : null;
+    var body = email.getHtmlBody()
+        ? '<p>' + nlapiEscapeXML(intro) + '</p><hr/>' + email.getHtmlBody()
+        : intro + '\n\n' + (email.getTextBody() || '');
+
+    nlapiSendEmail(settings.authorId, settings.apMailbox, 'Fwd: ' + (email.getSubject() || ''), body, null, null, records,
+        email.getAttachments(), false, false, from ? from.getEmail() : null);
+}
+
+// Payees are vendors, employees or customers, the delivery log only holds the entity ID
+function tscAchGetEntityType(entityId) {
+    var entities = nlapiSearchRecord('entity', null, [new nlobjSearchFilter('internalid', null, 'anyof', entityId)]) || [];
+    return entities.length > 0 ? entities[0].getRecordType() : 'vendor';
+}
+
+function tscAchGetSettings() {
+    var deployments = nlapiSearchRecord('scriptdeployment', null, [
+        new nlobjSearchFilter('scriptid', null, 'is', TSC_ACH_MR_DEPLOYMENT_ID)
+    ]) || [];
+    if (deployments.length === 0) {
+        return {};
+    }
+
+    var deployment = nlapiLoadRecord('scriptdeployment', deployments[0].getId());
+    return {
+        apMailbox: deployment.getFieldValue(TSC_ACH_PARAM_AP_MAILBOX),
+        authorId: deployment.getFieldValue(TSC_ACH_PARAM_EMAIL_AUTHOR)
+    };
+}
@@ -0,0 +1,383 @@
+/**
+ * Bank remittance export for payees who take their remittance with the ACH entry rather than by email: NACHA CCD+
+ * and CTX addenda records (an EDI 820 for CTX) and ISO 20022 pain.001 structured RmtInf blocks. Reduce gathers the
+ * applied lines of each payment, summarize turns the run's payments into one file per format plus an index for the
+ * bank file process. Every record is checked against its format's limits: reduce fails the payments that do not
+ * pass, and a payment that still fails when the files are built is left out of that format's file and listed in the
+ * index with the reason.
+ *
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+define(['N/file'],
+
+    (file) => {
+        // Internal IDs of customlist_tsc_ach_bank_export_format values
+        const EXPORT_FORMAT = {
+            CCD: '1',
+            CTX: '2',
+            ISO20022: '3'
+        };
+        const FORMAT_NAME = {
+            [EXPORT_FORMAT.CCD]: 'CCD+',
+            [EXPORT_FORMAT.CTX]: 'CTX',
+            [EXPORT_FORMAT.ISO20022]: 'ISO 20022'
+        };
+        const NACHA_RECORD_LENGTH = 94;
+        // Positions 4-83 of an addenda record
+        const NACHA_PAYMENT_INFO_LENGTH = 80;
+        const NACHA_ADDENDA_PREFIX = '705';
+        // Positions 88-94 hold the entry's trace number sequence, which only the bank file process knows
+        const NACHA_ENTRY_SEQUENCE_PLACEHOLDER = '0000000';
+        const CTX_MAX_ADDENDA = 9999;
+        // Delimiters NACHA recommends for X12 in addenda records, stripped from the data itself
+        const X12_ELEMENT = '*';
+        const X12_SEGMENT = '\\';
+        const X12_SUBELEMENT = '>';
+        const X12_ID_LENGTH = 15;
+        const X12_NAME_LENGTH = 60;
+        const X12_REFERENCE_LENGTH = 30;
+        const ISO_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.03';
+        // The wrapper that carries each RmtInf to its payment is ours, only RmtInf itself is pain.001 and validates
+        // against its XSD, ready to be copied into the CdtTrfTxInf of the payment
+        const EXPORT_NAMESPACE = 'urn:tsc:ohs27:ach:rmtinf-export';
+        // Max35Text and Max140Text, and the structured remittance most banks accept per transaction
+        const ISO_REFERENCE_LENGTH = 35;
+        const ISO_UNSTRUCTURED_LENGTH = 140;
+        const ISO_MAX_STRUCTURED_LENGTH = 9000;
+        const INDEX_CSV_HEADER = ['Format', 'Payment Internal ID', 'Payment Number', 'Payee', 'Amount', 'Currency', 'Addenda Records', 'First Record', 'Issue'];
+
+        /**
+         * Builds the export files of a run.
+         * @param {Array} payments - From the BANK_EXPORT_RECORDS of reduce, as { paymentId, tranid, trandate (YYYY-MM-DD),
+         *     currency (ISO code), amount, payeeId, payeeName, payerName, lines: [{ kind, reference, date, originalAmount,
+         *     discount, amount }] } with kind invoice or credit
+         * @param {Array} formats - EXPORT_FORMAT values to produce
+         * @param {Object} options - { runId, senderId } with senderId the EDI interchange sender of CTX
+         * @returns {Object} { files, indexRows, excludedCount, warningCount } - files are unsaved, indexRows are the rows
+         *     of the index CSV with its header first, for the caller to save with the files
+         */
+        const createExportFiles = (payments, formats, options) => {
+            const files = [];
+            const indexRows = [INDEX_CSV_HEADER];
+            let excludedCount = 0;
+            let warningCount = 0;
+
+            const addIndexRow = (formatName, payment, built, firstRecord) => {
+                if (built.error) {
+                    excludedCount++;
+                } else if (built.warnings.length > 0) {
+                    warningCount++;
+                }
+                indexRows.push([
+                    formatName,
+                    payment.paymentId,
+                    payment.tranid,
+                    payment.payeeName,
+                    formatAmount(payment.amount),
+                    payment.currency,
+                    built.error ? 0 : built.records.length,
+                    built.error ? '' : firstRecord,
+                    [built.error].concat(built.warnings).filter(Boolean).join('; ')
+                ]);
+            };
+
+            [EXPORT_FORMAT.CCD, EXPORT_FORMAT.CTX].filter((format) => formats.indexOf(format) !== -1).forEach((format) => {
+                const isCtx = format === EXPORT_FORMAT.CTX;
+                const records = [];
+                payments.forEach((payment, index) => {
+                    const built = buildPayment(format, payment, index + 1, options);
+                    addIndexRow(FORMAT_NAME[format], payment, built, records.length + 1);
+                    if (!built.error) {
+                        records.push(...built.records);
+                    }
+                });
+                files.push(file.create({
+                    name: `${options.runId}_${isCtx ? 'ctx' : 'ccd'}_addenda.txt`,
+                    fileType: file.Type.PLAINTEXT,
+                    contents: records.join('\r\n')
+                }));
+            });
+
+            if (formats.indexOf(EXPORT_FORMAT.ISO20022) !== -1) {
+                let xml = `<?xml version="1.0" encoding="UTF-8"?>\n<exp:RmtInfExport xmlns:exp="${EXPORT_NAMESPACE}" runId="${escapeXml(options.runId)}">\n`;
+                payments.forEach((payment) => {
+                    const built = buildPayment(EXPORT_FORMAT.ISO20022, payment, 0, options);
+                    addIndexRow(FORMAT_NAME[EXPORT_FORMAT.ISO20022], payment, built, '');
+                    if (!built.error) {
+                        // EndToEndId is how the bank file process matches the block to its CdtTrfTxInf
+                        xml += `<exp:Pmt><exp:EndToEndId>${escapeXml(clip(payment.tranid || payment.paymentId, ISO_REFERENCE_LENGTH))}</exp:EndToEndId>`
+                            + `<exp:InternalId>${escapeXml(payment.paymentId)}</exp:InternalId>${built.records[0]}</exp:Pmt>\n`;
+                    }
+                });
+                files.push(file.create({
+                    name: `${options.runId}_pain001_rmtinf.xml`,
+                    fileType: file.Type.XMLDOC,
+                    contents: xml + '</exp:RmtInfExport>\n'
+                }));
+            }
+
+            return { files: files, indexRows: indexRows, excludedCount: excludedCount, warningCount: warningCount };
+        };
+
+        /**
+         * Checks a payment against every format of the export before it is flagged as sent, so the payments the
+         * export would leave out are failed and retried instead.
+         * @returns {Array} One message per format the payment cannot be exported in
+         */
+        const validatePayment = (payment, formats, options) => {
+            return formats.filter((format) => FORMAT_NAME[format]).map((format) => {
+                const built = buildPayment(format, payment, 1, options);
+                return built.error ? `${FORMAT_NAME[format]}: ${built.error}` : '';
+            }).filter(Boolean);
+        };
+
+        const buildPayment = (format, payment, controlNumber, options) => {
+            if (format === EXPORT_FORMAT.CTX) {
+                return buildCtxAddenda(payment, controlNumber, options);
+            }
+            return format === EXPORT_FORMAT.CCD ? buildCcdAddenda(payment) : buildIsoRemittance(payment);
+        };
+
+        /**
+         * CCD+ carries one addenda record: as many RMR segments as fit in its 80 characters, or the payment number
+         * alone when the payment has no applied lines.
+         * @returns {Object} { records, error, warnings }
+         */
+        const buildCcdAddenda = (payment) => {
+            const warnings = checkLineTotal(payment);
+            const segments = payment.lines.length > 0
+                ? payment.lines.map((line) => buildRmrSegment(line))
+                : [x12Segment(['RMR', 'ZZ', clip(cleanText(payment.tranid), X12_REFERENCE_LENGTH), '', formatAmount(payment.amount)])];
+
+            let paymentInfo = '';
+            let included = 0;
+            while (included < segments.length && paymentInfo.length + segments[included].length <= NACHA_PAYMENT_INFO_LENGTH) {
+                paymentInfo += segments[included];
+                included++;
+            }
+            if (included === 0) {
+                return { records: [], error: 'The first remittance line does not fit in a CCD+ addenda', warnings: warnings };
+            }
+            if (included < segments.length) {
+                warnings.push(`Only ${included} of ${segments.length} lines fit in the CCD+ addenda, CTX carries them all`);
+            }
+
+            return finishNachaRecords([paymentInfo], warnings);
+        };
+
+        /**
+         * CTX carries a complete EDI 820 interchange, ISA to IEA, cut into addenda records of 80 characters.
+         * @param {number} controlNumber - Unique within the run, used for the interchange, group and transaction set
+         * @returns {Object} { records, error, warnings }
+         */
+        const buildCtxAddenda = (payment, controlNumber, options) => {
+            const warnings = checkLineTotal(payment);
+            const senderId = clip(cleanText(options.senderId), X12_ID_LENGTH);
+            if (!senderId) {
+                return { records: [], error: 'No EDI Sender ID configured for CTX', warnings: warnings };
+            }
+            if (!isCurrencyCode(payment.currency)) {
+                return { records: [], error: `"${payment.currency}" is not an ISO 4217 currency code`, warnings: warnings };
+            }
+            const receiverId = clip(cleanText(payment.payeeId), X12_ID_LENGTH);
+            const now = new Date();
+            const date = now.toISOString().split('T')[0].replace(/-/g, '');
+            const time = now.toISOString().split('T')[1].substring(0, 5).replace(':', '');
+            const control = String(controlNumber);
+
+            const transactionSet = [
+                x12Segment(['ST', '820', control.padStart(4, '0')]),
+                x12Segment(['BPR', 'C', formatAmount(payment.amount), 'C', 'ACH', 'CTX']),
+                x12Segment(['TRN', '1', clip(cleanText(payment.tranid), X12_REFERENCE_LENGTH)]),
+                x12Segment(['CUR', 'PR', payment.currency]),
+                x12Segment(['DTM', '097', payment.trandate.replace(/-/g, '')]),
+                x12Segment(['N1', 'PR', clip(cleanText(payment.payerName), X12_NAME_LENGTH)]),
+                x12Segment(['N1', 'PE', clip(cleanText(payment.payeeName), X12_NAME_LENGTH)]),
+                x12Segment(['ENT', '1'])
+            ];
+            payment.lines.forEach((line) => {
+                transactionSet.push(buildRmrSegment(line));
+                if (line.date) {
+                    transactionSet.push(x12Segment(['DTM', '003', line.date.replace(/-/g, '')]));
+                }
+            });
+            transactionSet.push(x12Segment(['SE', transactionSet.length + 1, control.padStart(4, '0')]));
+
+            const interchange = [
+                x12Segment(['ISA', '00', ''.padEnd(10), '00', ''.padEnd(10), 'ZZ', senderId.padEnd(X12_ID_LENGTH), 'ZZ',
+                    receiverId.padEnd(X12_ID_LENGTH), date.substring(2), time, 'U', '00401', control.padStart(9, '0'), '0', 'P', X12_SUBELEMENT]),
+                x12Segment(['GS', 'RA', senderId, receiverId, date, time, control, 'X', '004010'])
+            ].concat(transactionSet, [
+                x12Segment(['GE', '1', control]),
+                x12Segment(['IEA', '1', control.padStart(9, '0')])
+            ]).join('');
+
+            const chunks = [];
+            for (let start = 0; start < interchange.length; start += NACHA_PAYMENT_INFO_LENGTH) {
+                chunks.push(interchange.substring(start, start + NACHA_PAYMENT_INFO_LENGTH));
+            }
+            if (chunks.length > CTX_MAX_ADDENDA) {
+                return { records: [], error: `The 820 needs ${chunks.length} addenda records, CTX allows ${CTX_MAX_ADDENDA}`, warnings: warnings };
+            }
+
+            return finishNachaRecords(chunks, warnings);
+        };
+
+        // Numbers the addenda records and checks each against the NACHA record layout
+        const finishNachaRecords = (paymentInfos, warnings) => {
+            const records = paymentInfos.map((paymentInfo, index) => NACHA_ADDENDA_PREFIX + paymentInfo.padEnd(NACHA_PAYMENT_INFO_LENGTH)
+                + String(index + 1).padStart(4, '0') + NACHA_ENTRY_SEQUENCE_PLACEHOLDER);
+
+            for (let i = 0; i < records.length; i++) {
+                const error = validateNachaRecord(records[i]);
+                if (error) {
+                    return { records: [], error: `Addenda record ${i + 1}: ${error}`, warnings: warnings };
+                }
+            }
+            return { records: records, error: '', warnings: warnings };
+        };
+
+        const validateNachaRecord = (addendaRecord) => {
+            if (addendaRecord.length !== NACHA_RECORD_LENGTH) {
+                return `is ${addendaRecord.length} characters instead of ${NACHA_RECORD_LENGTH}`;
+            }
+            if (addendaRecord.indexOf(NACHA_ADDENDA_PREFIX) !== 0) {
+                return 'does not start with record type 7 and addenda type 05';
+            }
+            if (!/^[\x20-\x7E]+$/.test(addendaRecord)) {
+                return 'holds characters outside the NACHA character set';
+            }
+            if (!/^\d{11}$/.test(addendaRecord.substring(83))) {
+                return 'has a non-numeric sequence number';
+            }
+            return '';
+        };
+
+        // RMR for a bill or an expense report paid, or a credit taken: paid amount, original amount and discount
+        const buildRmrSegment = (line) => {
+            const isCredit = line.kind === 'credit';
+            return x12Segment([
+                'RMR',
+                isCredit ? 'CM' : 'IV',
+                clip(cleanText(line.reference), X12_REFERENCE_LENGTH),
+                'PI',
+                formatAmount(line.amount),
+                formatAmount(line.originalAmount),
+                line.discount ? formatAmount(line.discount) : ''
+            ]);
+        };
+
+        /**
+         * Structured RmtInf with a Strd block per applied line: commercial invoices (CINV) and credit notes (CREN).
+         * Blocks past the structured length banks accept are dropped with a warning; a payment without lines, a
+         * prepayment, gets an unstructured reference instead.
+         * @returns {Object} { records, error, warnings } - records holds the RmtInf element
+         */
+        const buildIsoRemittance = (payment) => {
+            const warnings = checkLineTotal(payment);
+            if (!isCurrencyCode(payment.currency)) {
+                return { records: [], error: `"${payment.currency}" is not an ISO 4217 currency code`, warnings: warnings };
+            }
+
+            if (payment.lines.length === 0) {
+                const reference = clip(`Payment ${payment.tranid}`, ISO_UNSTRUCTURED_LENGTH);
+                return { records: [`<RmtInf xmlns="${ISO_NAMESPACE}"><Ustrd>${escapeXml(reference)}</Ustrd></RmtInf>`], error: '', warnings: warnings };
+            }
+
+            const amount = (value) => `Ccy="${payment.currency}">${formatAmount(Math.abs(value))}`;
+            let structured = '';
+            let included = 0;
+            for (let i = 0; i < payment.lines.length; i++) {
+                const line = payment.lines[i];
+                const isCredit = line.kind === 'credit';
+                if (String(line.reference || '').length > ISO_REFERENCE_LENGTH) {
+                    warnings.push(`Reference ${line.reference} cut to ${ISO_REFERENCE_LENGTH} characters`);
+                }
+                const block = '<Strd><RfrdDocInf><Tp><CdOrPrtry><Cd>' + (isCredit ? 'CREN' : 'CINV') + '</Cd></CdOrPrtry></Tp>'
+                    + `<Nb>${escapeXml(clip(line.reference, ISO_REFERENCE_LENGTH))}</Nb>`
+                    + (line.date ? `<RltdDt>${line.date}</RltdDt>` : '') + '</RfrdDocInf><RfrdDocAmt>'
+                    + (isCredit
+                        ? `<CdtNoteAmt ${amount(line.amount)}</CdtNoteAmt>`
+                        : `<DuePyblAmt ${amount(line.originalAmount)}</DuePyblAmt>`
+                            + (line.discount ? `<DscntApldAmt ${amount(line.discount)}</DscntApldAmt>` : '')
+                            + `<RmtdAmt ${amount(line.amount)}</RmtdAmt>`)
+                    + '</RfrdDocAmt></Strd>';
+                if (structured.length + block.length > ISO_MAX_STRUCTURED_LENGTH) {
+                    break;
+                }
+                structured += block;
+                included++;
+            }
+            if (included === 0) {
+                return { records: [], error: `The first remittance line exceeds ${ISO_MAX_STRUCTURED_LENGTH} characters of structured remittance`, warnings: warnings };
+            }
+            if (included < payment.lines.length) {
+                warnings.push(`Only ${included} of ${payment.lines.length} lines fit in ${ISO_MAX_STRUCTURED_LENGTH} characters of structured remittance`);
+            }
+
+            return { records: [`<RmtInf xmlns="${ISO_NAMESPACE}">${structured}</RmtInf>`], error: '', warnings: warnings };
+        };
+
+        // Applied lines that do not add up to the payment are exported as they are, the bank may still reject them
+        const checkLineTotal = (payment) => {
+            if (payment.lines.length === 0) {
+                return [];
+            }
+            const lineTotal = payment.lines.reduce((total, line) => total + (line.kind === 'credit' ? -1 : 1) * Math.abs(line.amount), 0);
+            return Math.abs(lineTotal - payment.amount) >= 0.005
+                ? [`Applied lines total ${formatAmount(lineTotal)}, the payment ${formatAmount(payment.amount)}`]
+                : [];
+        };
+
+        // Trailing empty elements are dropped, as X12 requires
+        const x12Segment = (elements) => {
+            const values = elements.map((element) => String(element === null || element === undefined ? '' : element));
+            while (values.length > 1 && values[values.length - 1] === '') {
+                values.pop();
+            }
+            return values.join(X12_ELEMENT) + X12_SEGMENT;
+        };
+
+        // Upper case printable ASCII without the X12 delimiters, which NACHA and X12 data may not contain
+        const cleanText = (value) => {
+            return String(value === null || value === undefined ? '' : value)
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toUpperCase()
+                .replace(/[^\x20-\x7E]/g, ' ')
+                .split(X12_ELEMENT).join(' ')
+                .split(X12_SEGMENT).join(' ')
+                .split(X12_SUBELEMENT).join(' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+        };
+
+        const isCurrencyCode = (value) => {
+            return /^[A-Z]{3}$/.test(value || '');
+        };
+
+        const clip = (value, length) => {
+            return String(value === null || value === undefined ? '' : value).substring(0, length);
+        };
+
+        const formatAmount = (value) => {
+            return (Math.round((parseFloat(value) || 0) * 100) / 100).toFixed(2);
+        };
+
+        const escapeXml = (value) => {
+            return String(value === null || value === undefined ? '' : value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&apos;');
+        };
+
+        return {
+            EXPORT_FORMAT,
+            validatePayment,
+            createExportFiles
+        }
+
+    });
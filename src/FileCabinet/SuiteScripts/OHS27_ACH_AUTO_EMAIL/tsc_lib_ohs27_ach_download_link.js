@@ -0,0 +1,134 @@
+/**
+ * Signed, expiring links to archived remittance files, served by the public voucher download Suitelet so vouchers
+ * with bank details are never attached to the email itself. A token is the file ID and expiry time with an
+ * HMAC-SHA256 over both, keyed by the API secret LINK_SECRET_ID (Setup > Company > API Secrets), which has to allow
+ * the remittance scripts and the download Suitelet. Only files inside the voucher archive folder are ever served,
+ * whatever a token says.
+ *
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+define(['N/crypto', 'N/encode', 'N/search', 'N/url'],
+
+    (crypto, encode, search, url) => {
+        const LINK_SECRET_ID = 'custsecret_tsc_ohs27_download_link';
+        const DOWNLOAD_SCRIPT_ID = 'customscript_tsc_sl_ohs27_ach_download';
+        const DOWNLOAD_DEPLOYMENT_ID = 'customdeploy_tsc_sl_ohs27_ach_download';
+        const TOKEN_PARAM = 'token';
+        // Vouchers are archived at most a vendor and a month folder below the archive folder
+        const MAX_FOLDER_DEPTH = 5;
+
+        /**
+         * External URL of the download Suitelet for one file.
+         * @param {number|string} fileId - Internal ID of the archived file
+         * @param {Date} expiresAt - After this the Suitelet refuses the link
+         * @returns {string}
+         */
+        const createDownloadUrl = (fileId, expiresAt) => {
+            const payload = `${fileId}.${Math.floor(expiresAt.getTime() / 1000)}`;
+
+            return url.resolveScript({
+                scriptId: DOWNLOAD_SCRIPT_ID,
+                deploymentId: DOWNLOAD_DEPLOYMENT_ID,
+                returnExternalUrl: true,
+                params: {
+                    [TOKEN_PARAM]: `${payload}.${sign(payload)}`
+                }
+            });
+        };
+
+        /**
+         * Checks a token from a download request.
+         * @param {string} token
+         * @param {number|string} archiveFolderId - Voucher archive folder, the file has to be in it or a folder below it
+         * @returns {Object} { fileId } for a valid token, otherwise { error } saying why it was refused
+         */
+        const verifyToken = (token, archiveFolderId) => {
+            const parts = String(token || '').split('.');
+            if (parts.length !== 3 || !/^\d+$/.test(parts[0]) || !/^\d+$/.test(parts[1])) {
+                return { error: 'malformed token' };
+            }
+            if (!isSameText(sign(`${parts[0]}.${parts[1]}`), parts[2].toLowerCase())) {
+                return { error: 'invalid signature' };
+            }
+            if (parseInt(parts[1], 10) * 1000 < Date.now()) {
+                return { error: 'expired' };
+            }
+            if (!isInArchive(parts[0], archiveFolderId)) {
+                return { error: 'file outside the archive folder' };
+            }
+            return { fileId: parts[0] };
+        };
+
+        const isInArchive = (fileId, archiveFolderId) => {
+            if (!archiveFolderId) {
+                return false;
+            }
+
+            const files = search.create({
+                type: 'file',
+                filters: [
+                    ['internalid', 'anyof', fileId]
+                ],
+                columns: ['folder']
+            }).run().getRange({ start: 0, end: 1 });
+            let folderId = files.length > 0 ? String(files[0].getValue({ name: 'folder' }) || '') : '';
+
+            for (let depth = 0; folderId && depth <= MAX_FOLDER_DEPTH; depth++) {
+                if (folderId === String(archiveFolderId)) {
+                    return true;
+                }
+                const parent = search.lookupFields({
+                    type: search.Type.FOLDER,
+                    id: folderId,
+                    columns: ['parent']
+                }).parent;
+                folderId = Array.isArray(parent) && parent.length > 0 ? String(parent[0].value) : '';
+            }
+            return false;
+        };
+
+        /**
+         * HMAC-SHA256 of a payload, under the link key unless another API secret is given.
+         * @param {string} payload
+         * @param {string} [secretId] - Script ID of the API secret
+         * @returns {string} Lower-case hex signature
+         */
+        const sign = (payload, secretId) => {
+            const hmac = crypto.createHmac({
+                algorithm: crypto.HashAlg.SHA256,
+                key: crypto.createSecretKey({
+                    secret: secretId || LINK_SECRET_ID,
+                    encoding: encode.Encoding.UTF_8
+                })
+            });
+            hmac.update({ input: payload, inputEncoding: encode.Encoding.UTF_8 });
+            return hmac.digest({ outputEncoding: encode.Encoding.HEX }).toLowerCase();
+        };
+
+        // Whether signature is sign's for the payload and secret
+        const isValidSignature = (payload, signature, secretId) => {
+            return isSameText(sign(payload, secretId), String(signature || '').toLowerCase());
+        };
+
+        // Compares every character, so the time taken says nothing about how much of a forged signature was right
+        const isSameText = (expected, actual) => {
+            if (expected.length !== actual.length) {
+                return false;
+            }
+            let difference = 0;
+            for (let i = 0; i < expected.length; i++) {
+                difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+            }
+            return difference === 0;
+        };
+
+        return {
+            TOKEN_PARAM,
+            createDownloadUrl,
+            verifyToken,
+            sign,
+            isValidSignature
+        }
+
+    });
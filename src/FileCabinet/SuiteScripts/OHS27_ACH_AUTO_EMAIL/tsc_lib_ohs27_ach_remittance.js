@@ -0,0 +1,2925 @@
+/**
+ * Remittance sending shared by the ACH email Map/Reduce, the Send Remittance button and the approval User Event:
+ * payment grouping, template resolution, recipients, voucher rendering, the send itself and the delivery log.
+ * Every path flags the payments through markPaymentsSent, so a payment sent on demand is never picked up again.
+ *
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ */
+define(['N/search', 'N/render', 'N/email', 'N/file', 'N/record', 'N/crypto', 'N/encode', 'N/format', 'N/runtime', 'N/cache', './tsc_lib_ohs27_ach_bank_export',
+    './tsc_lib_ohs27_ach_download_link'],
+
+    (search, render, email, file, record, crypto, encode, format, runtime, cache, bankExport, downloadLink) => {
+        // Parameters of customscript_tsc_mr_ohs27_ach_email, the on-demand paths read them from its scheduled deployment
+        const SCRIPT_PARAM = {
+            ELIGIBLE_ACH_PAYMENTS_SEARCH: 'custscript_tsc_ohs27_eligible_ach_paymen',
+            EMAIL_AUTHOR: 'custscript_tsc_ohs27_email_author',
+            PRINT_TEMPLATE_ID: 'custscript_tsc_ohs27_print_template_id',
+            DRY_RUN: 'custscript_tsc_ohs27_dry_run',
+            PREVIEW_FOLDER: 'custscript_tsc_ohs27_preview_folder',
+            MAX_ATTEMPTS: 'custscript_tsc_ohs27_max_attempts',
+            RETRY_BACKOFF: 'custscript_tsc_ohs27_retry_backoff',
+            CONTACT_ROLE: 'custscript_tsc_ohs27_contact_role',
+            RECIPIENT_ORDER: 'custscript_tsc_ohs27_recipient_order',
+            CONSOLIDATED: 'custscript_tsc_ohs27_consolidated',
+            CONSOLIDATED_TEMPLATE: 'custscript_tsc_ohs27_consol_template',
+            ARCHIVE_FOLDER: 'custscript_tsc_ohs27_archive_folder',
+            ARCHIVE_BY_VENDOR: 'custscript_tsc_ohs27_archive_by_vendor',
+            MAX_ATTACHMENTS: 'custscript_tsc_ohs27_max_attachments',
+            MAX_ATTACHMENT_MB: 'custscript_tsc_ohs27_max_attach_mb',
+            MAX_GROUP_SIZE: 'custscript_tsc_ohs27_max_group_size',
+            DIGEST_WEEKDAY: 'custscript_tsc_ohs27_digest_weekday',
+            CORRECTIONS: 'custscript_tsc_ohs27_corrections',
+            EXPENSE_PRINT_TEMPLATE: 'custscript_tsc_ohs27_expense_template',
+            PREPAYMENT_PRINT_TEMPLATE: 'custscript_tsc_ohs27_prepay_template',
+            REFUND_PRINT_TEMPLATE: 'custscript_tsc_ohs27_refund_template',
+            BANK_EXPORT_FORMATS: 'custscript_tsc_ohs27_bank_export',
+            BANK_EXPORT_FOLDER: 'custscript_tsc_ohs27_bank_export_folder',
+            EDI_SENDER_ID: 'custscript_tsc_ohs27_edi_sender_id',
+            SECURE_LINKS: 'custscript_tsc_ohs27_secure_links',
+            LINK_EXPIRY: 'custscript_tsc_ohs27_link_expiry',
+            MASK_FIELDS: 'custscript_tsc_ohs27_mask_fields',
+            CAPTURE_ADDRESS: 'custscript_tsc_ohs27_capture_address',
+            AP_MAILBOX: 'custscript_tsc_ohs27_ap_mailbox',
+            SETTLEMENT_DAYS: 'custscript_tsc_ohs27_settlement_days',
+            SEND_WINDOW_START: 'custscript_tsc_ohs27_window_start',
+            SEND_WINDOW_END: 'custscript_tsc_ohs27_window_end',
+            MAX_EMAILS_PER_RUN: 'custscript_tsc_ohs27_max_emails',
+            LOCK_TIMEOUT: 'custscript_tsc_ohs27_lock_timeout'
+        };
+        const MR_DEPLOYMENT_ID = 'customdeploy_tsc_mr_ohs27_ach_email';
+        // API secret (Setup > Company > API Secrets) of the Send Remittance button's token, it has to allow the
+        // User Event and the send remittance Suitelet
+        const SEND_TOKEN_SECRET_ID = 'custsecret_tsc_ohs27_send_token';
+        const DEFAULT_MAX_ATTEMPTS = 3;
+        const DEFAULT_RETRY_BACKOFF_HOURS = 4;
+        const DEFAULT_LOCK_TIMEOUT_HOURS = 12;
+        // Attachments go base64 encoded, about a third larger, and NetSuite rejects emails over 15 MB in total
+        const DEFAULT_MAX_ATTACHMENTS = 10;
+        const DEFAULT_MAX_ATTACHMENT_MB = 10;
+        // Payments emailed together, each costs about 70 units of the 5,000 a reduce invocation gets
+        const DEFAULT_MAX_GROUP_SIZE = 40;
+        // Friday, days run from 1 (Monday) to 7 (Sunday)
+        const DEFAULT_DIGEST_WEEKDAY = 5;
+        // A week, long enough for the vendor's AR team to get to the email
+        const DEFAULT_LINK_EXPIRY_HOURS = 168;
+        // Characters of a masked bank account number left readable
+        const MASK_VISIBLE_CHARS = 4;
+        // Governance units each step needs, checked before it starts so a group is deferred rather than cut off mid-send
+        const USAGE = {
+            VOUCHER: 30,
+            PAYMENT_LOAD: 10,
+            MERGE: 10,
+            PART: 100,
+            PART_FILE: 20,
+            PART_PAYMENT: 30
+        };
+        const USAGE_ERROR = 'TSC_ACH_USAGE_LIMIT';
+        // Recipient sources, tried in the order of the Recipient Source Order parameter
+        const RECIPIENT_SOURCE = {
+            MAPPING: 'mapping',
+            VENDOR_REMITTANCE: 'vendor_remittance',
+            CONTACTS: 'contacts',
+            VENDOR_EMAIL: 'vendor_email'
+        };
+        const DEFAULT_RECIPIENT_ORDER = [RECIPIENT_SOURCE.MAPPING, RECIPIENT_SOURCE.VENDOR_REMITTANCE, RECIPIENT_SOURCE.CONTACTS, RECIPIENT_SOURCE.VENDOR_EMAIL];
+        // email.send accepts at most 10 addresses in each of recipients, cc and bcc
+        const MAX_ADDRESSES_PER_FIELD = 10;
+        const VENDOR_FIELD_REMITTANCE_EMAIL = 'custentity_tsc_ach_remit_email';
+        const VENDOR_FIELD_REMITTANCE_CC = 'custentity_tsc_ach_remit_cc';
+        const VENDOR_FIELD_REMITTANCE_BCC = 'custentity_tsc_ach_remit_bcc';
+        const VENDOR_FIELD_OPT_OUT = 'custentity_tsc_ach_remit_opt_out';
+        const VENDOR_FIELD_REMITTANCE_FORMAT = 'custentity_tsc_ach_remit_format';
+        const VENDOR_FIELD_FREQUENCY = 'custentity_tsc_ach_remit_frequency';
+        const VENDOR_FIELD_LAST_DIGEST = 'custentity_tsc_ach_last_digest';
+        // Set by the email capture plugin when a remittance bounces, cleared by AP once the address is corrected
+        const VENDOR_FIELD_BOUNCED_EMAILS = 'custentity_tsc_ach_bounced_emails';
+        // Olson ID (e.g. America/Chicago) the send window is applied in, the company's time zone when empty
+        const VENDOR_FIELD_TIME_ZONE = 'custentity_tsc_ach_time_zone';
+        // UTC all year, the reference getLocalNow measures a time zone's offset against
+        const UTC_TIME_ZONE = 'Atlantic/Reykjavik';
+        // Internal IDs of customlist_tsc_ach_remit_format values, vendors without one get the PDF. BANK payees get
+        // their remittance with the ACH entry through the Map/Reduce's bank remittance export instead of an email.
+        const REMITTANCE_FORMAT = {
+            PDF: '1',
+            HTML: '2',
+            CSV: '3',
+            BANK: '4'
+        };
+        // Internal IDs of customlist_tsc_ach_remit_frequency values, vendors without one are emailed immediately
+        const REMITTANCE_FREQUENCY = {
+            IMMEDIATE: '1',
+            DAILY: '2',
+            WEEKLY: '3'
+        };
+        const TEMPLATE_MAP_RECORD = 'customrecord_tsc_acct_email_template_map';
+        // Mapping rows are read once per run and shared by its reduce invocations
+        const TEMPLATE_MAP_CACHE = 'TSC_OHS27_TEMPLATE_MAP';
+        const TEMPLATE_MAP_CACHE_TTL = 3600;
+        // Bank holidays, which are not business days for the settlement date or the send window; read once per run
+        const HOLIDAY_RECORD = 'customrecord_tsc_ach_bank_holiday';
+        const HOLIDAY_FIELD_DATE = 'custrecord_tsc_achhol_date';
+        const HOLIDAY_CACHE = 'TSC_OHS27_BANK_HOLIDAYS';
+        // Emails each run has sent so far, counted from its delivery logs once and then kept up by the run itself
+        const RUN_EMAIL_COUNT_CACHE = 'TSC_OHS27_RUN_EMAIL_COUNT';
+        const TEMPLATE_MAP_FIELD = {
+            ACCOUNT: 'custrecord_tsc_account',
+            EMAIL_TEMPLATE: 'custrecord_tsc_email_template_id',
+            RECIPIENT_OVERRIDE: 'custrecord_tsc_remit_to',
+            CC: 'custrecord_tsc_remit_cc',
+            BCC: 'custrecord_tsc_remit_bcc',
+            SUBSIDIARY: 'custrecord_tsc_subsidiary',
+            VENDOR_CATEGORY: 'custrecord_tsc_vendor_category',
+            VENDOR_LANGUAGE: 'custrecord_tsc_vendor_language',
+            PRINT_TEMPLATE: 'custrecord_tsc_print_template',
+            IS_DEFAULT: 'custrecord_tsc_is_default',
+            CORRECTION_TEMPLATE: 'custrecord_tsc_correction_template'
+        };
+        // Weight of each mapping criterion when ranking matches; account outranks all others combined
+        const TEMPLATE_MAP_WEIGHT = {
+            ACCOUNT: 8,
+            SUBSIDIARY: 4,
+            VENDOR_CATEGORY: 2,
+            VENDOR_LANGUAGE: 1
+        };
+        const VENDOR_PAYMENT_FIELD_EMAIL_SENT = "custbody_tsc_ach_auto_email_sent";
+        const VENDOR_PAYMENT_FIELD_EMAIL_STATUS = 'custbody_tsc_ach_email_status';
+        const VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS = 'custbody_tsc_ach_email_attempts';
+        const VENDOR_PAYMENT_FIELD_NEXT_RETRY = 'custbody_tsc_ach_email_next_retry';
+        const VENDOR_PAYMENT_FIELD_LAST_ERROR = 'custbody_tsc_ach_email_last_error';
+        const VENDOR_PAYMENT_FIELD_EXCLUDE = 'custbody_tsc_ach_email_exclude';
+        // Amount the vendor was last told about, set with the sent flag and compared to find changed payments
+        const VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT = 'custbody_tsc_ach_notified_amount';
+        const VENDOR_PREPAYMENT_FIELD_EMAIL_SENT = 'custbody_tsc_ach_prepay_email_sent';
+        const CUSTOMER_REFUND_FIELD_EMAIL_SENT = 'custbody_tsc_ach_refund_email_sent';
+        // EFT payments that can be notified, told apart by transaction type and payee entity type: a bill payment to an
+        // employee is an expense reimbursement. Each has its own voucher template and sent flag, the other ACH body
+        // fields apply to all of them. Sublists are where buildRemittanceData finds the applied lines.
+        const PAYMENT_TYPE = {
+            VENDOR_PAYMENT: {
+                label: 'Vendor Payment',
+                transactionType: 'VendPymt',
+                recordType: record.Type.VENDOR_PAYMENT,
+                entityType: 'vendor',
+                sentField: VENDOR_PAYMENT_FIELD_EMAIL_SENT,
+                printTemplateParam: SCRIPT_PARAM.PRINT_TEMPLATE_ID,
+                sublists: [
+                    { sublistId: 'apply', dateField: 'applydate', defaultType: 'Bill', sign: 1 },
+                    { sublistId: 'credit', dateField: 'creditdate', defaultType: 'Bill Credit', sign: -1 }
+                ]
+            },
+            EXPENSE_REIMBURSEMENT: {
+                label: 'Expense Reimbursement',
+                transactionType: 'VendPymt',
+                recordType: record.Type.VENDOR_PAYMENT,
+                entityType: 'employee',
+                sentField: VENDOR_PAYMENT_FIELD_EMAIL_SENT,
+                printTemplateParam: SCRIPT_PARAM.EXPENSE_PRINT_TEMPLATE,
+                sublists: [
+                    { sublistId: 'apply', dateField: 'applydate', defaultType: 'Expense Report', sign: 1 }
+                ]
+            },
+            VENDOR_PREPAYMENT: {
+                label: 'Vendor Prepayment',
+                transactionType: 'VPrep',
+                recordType: record.Type.VENDOR_PREPAYMENT,
+                entityType: 'vendor',
+                sentField: VENDOR_PREPAYMENT_FIELD_EMAIL_SENT,
+                printTemplateParam: SCRIPT_PARAM.PREPAYMENT_PRINT_TEMPLATE,
+                sublists: []
+            },
+            CUSTOMER_REFUND: {
+                label: 'Customer Refund',
+                transactionType: 'CustRfnd',
+                recordType: record.Type.CUSTOMER_REFUND,
+                entityType: 'customer',
+                sentField: CUSTOMER_REFUND_FIELD_EMAIL_SENT,
+                printTemplateParam: SCRIPT_PARAM.REFUND_PRINT_TEMPLATE,
+                sublists: [
+                    { sublistId: 'apply', dateField: 'applydate', defaultType: 'Credit Memo', sign: 1 }
+                ]
+            }
+        };
+        // Orders queued before payment types existed are all vendor payments
+        const DEFAULT_PAYMENT_TYPE = 'VENDOR_PAYMENT';
+        // Payee entity types other than vendor, found through the matching join of the payments search
+        const PAYEE_JOINS = ['employee', 'customer'];
+        // Payee fields the template mapping matches on; its category is a vendor category
+        const PAYEE_MATCH_FIELDS = {
+            vendor: { category: 'category', language: 'language' },
+            customer: { language: 'language' },
+            employee: {}
+        };
+        // Script-wide lock the Map/Reduce takes for a run, the dashboard checks it before queuing one
+        const RUN_LOCK_RECORD = 'customrecord_tsc_ach_email_run_lock';
+        const RUN_LOCK_FIELD = {
+            RUN_ID: 'custrecord_tsc_achlock_run_id',
+            DEPLOYMENT: 'custrecord_tsc_achlock_deployment',
+            ACQUIRED: 'custrecord_tsc_achlock_acquired'
+        };
+        const DELIVERY_LOG_RECORD = 'customrecord_tsc_ach_email_delivery_log';
+        const DELIVERY_LOG_FIELD = {
+            VENDOR: 'custrecord_tsc_achlog_vendor',
+            ACCOUNT: 'custrecord_tsc_achlog_account',
+            PAYMENTS: 'custrecord_tsc_achlog_payments',
+            TEMPLATE: 'custrecord_tsc_achlog_template',
+            RECIPIENTS: 'custrecord_tsc_achlog_recipients',
+            SUBJECT: 'custrecord_tsc_achlog_subject',
+            ATTACHMENTS: 'custrecord_tsc_achlog_attachments',
+            STATUS: 'custrecord_tsc_achlog_status',
+            ERROR: 'custrecord_tsc_achlog_error',
+            RUN_ID: 'custrecord_tsc_achlog_run_id',
+            TIMESTAMP: 'custrecord_tsc_achlog_timestamp',
+            IDEMPOTENCY_KEY: 'custrecord_tsc_achlog_idem_key',
+            KIND: 'custrecord_tsc_achlog_kind',
+            ORIGINAL: 'custrecord_tsc_achlog_original',
+            REPLIED: 'custrecord_tsc_achlog_replied',
+            BOUNCE_REPORTED: 'custrecord_tsc_achlog_bounce_reported'
+        };
+        // Internal IDs of customlist_tsc_ach_notice_kind values
+        const NOTICE_KIND = {
+            REMITTANCE: '1',
+            CORRECTION: '2',
+            CANCELLATION: '3'
+        };
+        // Internal IDs of customlist_tsc_ach_delivery_status values
+        const DELIVERY_STATUS = {
+            SENT: '1',
+            FAILED: '2',
+            SKIPPED: '3',
+            EXHAUSTED: '4',
+            SENDING: '5',
+            HELD: '6',
+            OPTED_OUT: '7',
+            CORRECTED: '8',
+            CANCELLED: '9',
+            BOUNCED: '10'
+        };
+        // Added to the subject and body of every email when replies are captured, so the email capture plugin can
+        // match a bounce or reply to its delivery log: the log ID and the start of its idempotency key
+        const TRACKING_TOKEN_PREFIX = 'ACH-REF';
+        // Outcome of sendGroup for a dry run, which never gets a delivery log
+        const PREVIEWED = 'preview';
+        // Characters NetSuite does not accept in folder names
+        const INVALID_FOLDER_NAME_CHARS = /[\\/:*?"<>|]/g;
+        // Used for the consolidated advice when no advanced PDF template is configured
+        const CONSOLIDATED_TEMPLATE_FILE = './templates/tsc_ohs27_consolidated_remittance.xml';
+        const REMITTANCE_CSV_HEADER = ['Payment Number', 'Payment Date', 'Currency', 'Line Type', 'Reference', 'Date', 'Original Amount', 'Discount', 'Amount Applied'];
+
+        // Archive subfolder IDs by parent and name, kept for the life of the script invocation
+        const folderCache = {};
+        // ISO currency codes by currency internal ID, for the bank remittance export
+        const currencyCodeCache = {};
+
+        /**
+         * Reads the remittance settings through the given parameter getter.
+         * @param {Function} getParameter - Returns the value of a script parameter by ID
+         * @returns {Object} Settings passed to sendGroup
+         */
+        const getSettings = (getParameter) => {
+            const getInteger = (name, defaultValue) => {
+                const value = parseInt(getParameter(name), 10);
+                return isNaN(value) || value < 1 ? defaultValue : value;
+            };
+            const getCheckbox = (name) => {
+                const value = getParameter(name);
+                return value === true || value === 'T';
+            };
+            const getIds = (name) => {
+                const value = getParameter(name);
+                return String(Array.isArray(value) ? value.join(',') : value || '')
+                    .split(/[,\s]+/)
+                    .filter((id) => /^\d+$/.test(id));
+            };
+            // Hours run from 0 to 24, a window is only kept when it starts before it ends
+            const getHour = (name) => {
+                const value = parseInt(getParameter(name), 10);
+                return isNaN(value) || value < 0 || value > 24 ? null : value;
+            };
+            const windowStart = getHour(SCRIPT_PARAM.SEND_WINDOW_START);
+            const windowEnd = getHour(SCRIPT_PARAM.SEND_WINDOW_END);
+            const hasSendWindow = windowStart !== null && windowEnd !== null && windowStart < windowEnd;
+            const configuredOrder = splitAddresses(getParameter(SCRIPT_PARAM.RECIPIENT_ORDER))
+                .map((source) => source.toLowerCase())
+                .filter((source) => DEFAULT_RECIPIENT_ORDER.indexOf(source) !== -1);
+
+            return {
+                searchId: getParameter(SCRIPT_PARAM.ELIGIBLE_ACH_PAYMENTS_SEARCH),
+                authorId: getParameter(SCRIPT_PARAM.EMAIL_AUTHOR),
+                printTemplateId: getParameter(SCRIPT_PARAM.PRINT_TEMPLATE_ID),
+                dryRun: getCheckbox(SCRIPT_PARAM.DRY_RUN),
+                previewFolderId: getParameter(SCRIPT_PARAM.PREVIEW_FOLDER),
+                maxAttempts: getInteger(SCRIPT_PARAM.MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS),
+                retryBackoffHours: getInteger(SCRIPT_PARAM.RETRY_BACKOFF, DEFAULT_RETRY_BACKOFF_HOURS),
+                contactRoleId: getParameter(SCRIPT_PARAM.CONTACT_ROLE),
+                recipientOrder: configuredOrder.length > 0 ? configuredOrder : DEFAULT_RECIPIENT_ORDER,
+                consolidated: getCheckbox(SCRIPT_PARAM.CONSOLIDATED),
+                consolidatedTemplateId: getParameter(SCRIPT_PARAM.CONSOLIDATED_TEMPLATE),
+                archiveFolderId: getParameter(SCRIPT_PARAM.ARCHIVE_FOLDER),
+                archiveByVendor: getCheckbox(SCRIPT_PARAM.ARCHIVE_BY_VENDOR),
+                maxAttachments: getInteger(SCRIPT_PARAM.MAX_ATTACHMENTS, DEFAULT_MAX_ATTACHMENTS),
+                maxAttachmentMb: getInteger(SCRIPT_PARAM.MAX_ATTACHMENT_MB, DEFAULT_MAX_ATTACHMENT_MB),
+                maxGroupSize: getInteger(SCRIPT_PARAM.MAX_GROUP_SIZE, DEFAULT_MAX_GROUP_SIZE),
+                digestWeekday: Math.min(getInteger(SCRIPT_PARAM.DIGEST_WEEKDAY, DEFAULT_DIGEST_WEEKDAY), 7),
+                corrections: getCheckbox(SCRIPT_PARAM.CORRECTIONS),
+                printTemplateIds: Object.keys(PAYMENT_TYPE).reduce((templateIds, key) => {
+                    templateIds[key] = getParameter(PAYMENT_TYPE[key].printTemplateParam) || '';
+                    return templateIds;
+                }, {}),
+                bankExportFormats: getIds(SCRIPT_PARAM.BANK_EXPORT_FORMATS),
+                bankExportFolderId: getParameter(SCRIPT_PARAM.BANK_EXPORT_FOLDER),
+                ediSenderId: getParameter(SCRIPT_PARAM.EDI_SENDER_ID) || '',
+                captureAddress: getParameter(SCRIPT_PARAM.CAPTURE_ADDRESS) || '',
+                secureLinks: getCheckbox(SCRIPT_PARAM.SECURE_LINKS),
+                linkExpiryHours: getInteger(SCRIPT_PARAM.LINK_EXPIRY, DEFAULT_LINK_EXPIRY_HOURS),
+                maskFieldIds: splitAddresses(getParameter(SCRIPT_PARAM.MASK_FIELDS)),
+                settlementDays: getInteger(SCRIPT_PARAM.SETTLEMENT_DAYS, 0),
+                sendWindowStart: hasSendWindow ? windowStart : null,
+                sendWindowEnd: hasSendWindow ? windowEnd : null,
+                maxEmailsPerRun: getInteger(SCRIPT_PARAM.MAX_EMAILS_PER_RUN, 0),
+                lockTimeoutHours: getInteger(SCRIPT_PARAM.LOCK_TIMEOUT, DEFAULT_LOCK_TIMEOUT_HOURS)
+            };
+        };
+
+        /**
+         * Settings of the scheduled Map/Reduce deployment, so a payment sent from the form or on approval is
+         * emailed exactly like the nightly run would have.
+         */
+        const getMapReduceSettings = () => {
+            const deployments = search.create({
+                type: search.Type.SCRIPT_DEPLOYMENT,
+                filters: [
+                    ['scriptid', 'is', MR_DEPLOYMENT_ID]
+                ]
+            }).run().getRange({ start: 0, end: 1 });
+
+            if (deployments.length === 0) {
+                throw new Error(`Script deployment ${MR_DEPLOYMENT_ID} not found, its parameters configure the remittance email.`);
+            }
+
+            const deployment = record.load({
+                type: record.Type.SCRIPT_DEPLOYMENT,
+                id: deployments[0].id
+            });
+
+            return getSettings((name) => deployment.getValue({ fieldId: name }));
+        };
+
+        /**
+         * Loads the eligible ACH payments search, narrowed to the given payments when there are any. Only a
+         * Transaction search tells the PAYMENT_TYPEs apart, the results of any other search type are vendor payments.
+         * @param {string} searchId - Saved search from the Eligible ACH Payments parameter
+         * @param {Object} options
+         * @param {Array} [options.paymentIds] - Payment internal IDs to limit the search to
+         * @param {boolean} [options.ignoreCriteria] - Only reuse the saved search's columns (resend)
+         * @param {boolean} [options.ignoreRetryState] - Keep payments waiting for their retry backoff or out of attempts
+         * @param {boolean} [options.includeCorrections] - Add notified payments voided or changed since, see getCorrection
+         * @returns {Search}
+         */
+        const loadPaymentsSearch = (searchId, options) => {
+            const paymentIds = options.paymentIds || [];
+            let searchObj = search.load({ id: searchId });
+
+            if (options.ignoreCriteria) {
+                // A resend targets payments the saved search no longer returns, only its columns are reused
+                searchObj = search.create({
+                    type: searchObj.searchType,
+                    filters: [
+                        ['internalid', 'anyof', paymentIds],
+                        'AND',
+                        ['mainline', 'is', 'T']
+                    ],
+                    columns: searchObj.columns
+                });
+            } else {
+                // Leave out excluded and opted out payments, those waiting for their retry backoff and those that have
+                // run out of attempts
+                const eligibilityFilters = [
+                    [VENDOR_PAYMENT_FIELD_EXCLUDE, 'is', 'F'],
+                    'AND',
+                    [VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'noneof', DELIVERY_STATUS.OPTED_OUT]
+                ];
+                if (!options.ignoreRetryState) {
+                    eligibilityFilters.push(
+                        'AND',
+                        [VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'noneof', DELIVERY_STATUS.EXHAUSTED],
+                        'AND',
+                        [`formulanumeric: CASE WHEN {${VENDOR_PAYMENT_FIELD_NEXT_RETRY}} > SYSDATE THEN 1 ELSE 0 END`, 'equalto', '0']
+                    );
+                }
+                if (paymentIds.length > 0) {
+                    eligibilityFilters.push('AND', ['internalid', 'anyof', paymentIds]);
+                }
+                // Payments held for a digest stay in the run even once the saved search criteria (a date range, say)
+                // no longer return them, so none is lost while it waits
+                const heldFilters = [
+                    [VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'anyof', DELIVERY_STATUS.HELD],
+                    'AND',
+                    sentFilter(false),
+                    'AND',
+                    ['mainline', 'is', 'T']
+                ];
+                const branches = [heldFilters];
+                if (options.includeCorrections) {
+                    branches.push([
+                        sentFilter(true),
+                        'AND',
+                        ['mainline', 'is', 'T'],
+                        'AND',
+                        [VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT, 'isnotempty', ''],
+                        'AND',
+                        [VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'noneof', DELIVERY_STATUS.CANCELLED],
+                        'AND',
+                        [
+                            ['voided', 'is', 'T'],
+                            'OR',
+                            [`formulanumeric: CASE WHEN ABS({fxamount}) <> ABS({${VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT}}) THEN 1 ELSE 0 END`, 'equalto', '1']
+                        ]
+                    ]);
+                    // What map needs to tell a correction from a first remittance
+                    addColumns(searchObj, getSentFields().concat([VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT, VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'voided', 'fxamount'])
+                        .map((name) => ({ name: name })));
+                }
+
+                const filterExpression = searchObj.filterExpression;
+                searchObj.filterExpression = filterExpression.length > 0
+                    ? [[filterExpression].concat(...branches.map((branch) => ['OR', branch])), 'AND', eligibilityFilters]
+                    : eligibilityFilters;
+            }
+
+            // The template mapping is scoped by subsidiary, make sure the payment's is available to map, along with
+            // what getPaymentType needs and the payee's email whatever its entity type
+            addColumns(searchObj, [{ name: 'subsidiary' }, { name: 'type' }, { name: 'email', join: 'vendor' }]);
+            if (searchObj.searchType === search.Type.TRANSACTION) {
+                addColumns(searchObj, [].concat(...PAYEE_JOINS.map((join) => [{ name: 'internalid', join: join }, { name: 'email', join: join }])));
+            }
+
+            return searchObj;
+        };
+
+        // Adds the columns, given as { name, join }, that the search does not have yet
+        const addColumns = (searchObj, columns) => {
+            columns.forEach((column) => {
+                const exists = searchObj.columns.some((existing) => existing.name === column.name
+                    && String(existing.join || '').toLowerCase() === String(column.join || '').toLowerCase());
+                if (!exists) {
+                    searchObj.columns = searchObj.columns.concat([search.createColumn(column)]);
+                }
+            });
+        };
+
+        /**
+         * Filter expression on the sent flag of each payment type, for searches that span several of them.
+         * @param {boolean} isSent - Match sent payments rather than payments not sent yet
+         */
+        const sentFilter = (isSent) => {
+            const expression = [];
+            const seen = {};
+            Object.keys(PAYMENT_TYPE).forEach((key) => {
+                const paymentType = PAYMENT_TYPE[key];
+                if (seen[paymentType.transactionType]) {
+                    return;
+                }
+                seen[paymentType.transactionType] = true;
+                if (expression.length > 0) {
+                    expression.push('OR');
+                }
+                expression.push([['type', 'anyof', paymentType.transactionType], 'AND', [paymentType.sentField, 'is', isSent ? 'T' : 'F']]);
+            });
+            return expression;
+        };
+
+        const getSentFields = () => {
+            return Object.keys(PAYMENT_TYPE).map((key) => PAYMENT_TYPE[key].sentField)
+                .filter((field, index, fields) => fields.indexOf(field) === index);
+        };
+
+        // Sent flag of a record type, as returned by Result.recordType
+        const getSentField = (recordType) => {
+            const key = Object.keys(PAYMENT_TYPE).filter((typeKey) => PAYMENT_TYPE[typeKey].recordType === recordType)[0];
+            return PAYMENT_TYPE[key || DEFAULT_PAYMENT_TYPE].sentField;
+        };
+
+        /**
+         * Works out the payment type of a search result from its transaction type and the join its payee shows up in.
+         * @param {Object} values - Search result values as passed to map
+         * @returns {string} A PAYMENT_TYPE key, empty when the transaction is not a supported EFT payment
+         */
+        const getPaymentType = (values) => {
+            const valueOf = (value) => value && typeof value === 'object' ? value.value : value;
+            const transactionType = valueOf(values.type);
+            const entityType = PAYEE_JOINS.filter((join) => valueOf(values[`internalid.${join}`]))[0] || 'vendor';
+
+            return Object.keys(PAYMENT_TYPE).filter((key) => PAYMENT_TYPE[key].transactionType === transactionType
+                && PAYMENT_TYPE[key].entityType === entityType)[0] || '';
+        };
+
+        // Payment types by payment internal ID, for the orders of a group
+        const getPaymentTypes = (orders) => {
+            return orders.reduce((paymentTypes, orderObj) => {
+                paymentTypes[orderObj.orderId] = orderObj.paymentType || DEFAULT_PAYMENT_TYPE;
+                return paymentTypes;
+            }, {});
+        };
+
+        /**
+         * Voucher template of a payment type. Mapping print templates are made for bill payments, so they stand in
+         * for the default Print Template ID and for employee payments without their own template only.
+         */
+        const getPrintTemplateId = (paymentType, templateMapping, settings) => {
+            const typeTemplateId = paymentType === DEFAULT_PAYMENT_TYPE ? '' : settings.printTemplateIds[paymentType];
+            if (typeTemplateId || PAYMENT_TYPE[paymentType].recordType !== record.Type.VENDOR_PAYMENT) {
+                return typeTemplateId || '';
+            }
+            return templateMapping.printTemplateId || settings.printTemplateId;
+        };
+
+        /**
+         * Run locks of the remittance Map/Reduce, oldest first. Locks older than the lock timeout are flagged stale,
+         * they are left over from a crashed run.
+         * @param {number} timeoutHours - Lock Timeout of the settings
+         * @returns {Array} { id, runId, deploymentId, stale }
+         */
+        const searchRunLocks = (timeoutHours) => {
+            const staleColumn = search.createColumn({
+                name: 'formulanumeric',
+                formula: `CASE WHEN {${RUN_LOCK_FIELD.ACQUIRED}} < SYSDATE - (${timeoutHours} / 24) THEN 1 ELSE 0 END`
+            });
+            const locks = [];
+
+            search.create({
+                type: RUN_LOCK_RECORD,
+                columns: [
+                    search.createColumn({ name: 'internalid', sort: search.Sort.ASC }),
+                    RUN_LOCK_FIELD.RUN_ID,
+                    RUN_LOCK_FIELD.DEPLOYMENT,
+                    staleColumn
+                ]
+            }).run().each((result) => {
+                locks.push({
+                    id: String(result.id),
+                    runId: result.getValue(RUN_LOCK_FIELD.RUN_ID),
+                    deploymentId: result.getValue(RUN_LOCK_FIELD.DEPLOYMENT),
+                    stale: String(result.getValue(staleColumn)) === '1'
+                });
+                return true;
+            });
+
+            return locks;
+        };
+
+        /**
+         * @param {Object} values - Search result values as passed to map, select fields as { value, text }
+         * @returns {Array} Names of the fields a payment needs before it can be grouped
+         */
+        const getMissingFields = (values) => {
+            const missingFields = [];
+
+            if (!values.account || !values.account.value) missingFields.push('account');
+            if (!values.entity || !values.entity.value) missingFields.push('entity');
+            if (!values.trandate) missingFields.push('transaction date');
+            if (!values.tranid) missingFields.push('transaction ID');
+            if (!getPaymentType(values)) missingFields.push('supported payment type');
+            // A blank vendor email is no longer a reason to skip: recipients are resolved from several sources
+
+            return missingFields;
+        };
+
+        /**
+         * Normalized payment passed to sendGroup. Payments are grouped by account and payee, the group key is
+         * carried in accountId. Entity IDs are unique across vendors, customers and employees.
+         */
+        const buildOrder = (paymentId, values, runId) => {
+            const paymentType = getPaymentType(values) || DEFAULT_PAYMENT_TYPE;
+            return {
+                orderId: paymentId,
+                accountId: values.account.value + "_" + values.entity.value,
+                orderDate: values.trandate,
+                postingPeriod: values.postingperiod ? values.postingperiod.text : '',
+                orderNumber: values.tranid,
+                entity: values.entity.text,
+                vendorEmail: values[`email.${PAYMENT_TYPE[paymentType].entityType}`] || '',
+                paymentType: paymentType,
+                subsidiaryId: values.subsidiary ? values.subsidiary.value || '' : '',
+                runId: runId || ''
+            };
+        };
+
+        /**
+         * Tells whether a search result is a payment the vendor was already notified about, and what changed since.
+         * @param {Object} values - Search result values as passed to map
+         * @returns {Object|null} { kind, notifiedAmount, amount } with kind a NOTICE_KIND value, null when there is nothing to correct
+         */
+        const getCorrection = (values) => {
+            const isChecked = (value) => value === true || value === 'T';
+            const statusValue = values[VENDOR_PAYMENT_FIELD_EMAIL_STATUS];
+            const status = statusValue && typeof statusValue === 'object' ? statusValue.value : statusValue;
+            const sentField = PAYMENT_TYPE[getPaymentType(values) || DEFAULT_PAYMENT_TYPE].sentField;
+            if (!isChecked(values[sentField]) || values[VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT] === ''
+                || values[VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT] === undefined || status === DELIVERY_STATUS.CANCELLED) {
+                return null;
+            }
+
+            const correction = {
+                kind: isChecked(values.voided) ? NOTICE_KIND.CANCELLATION : NOTICE_KIND.CORRECTION,
+                notifiedAmount: Math.abs(parseFloat(values[VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT]) || 0),
+                amount: Math.abs(parseFloat(values.fxamount) || 0)
+            };
+            // Nothing changed: a sent payment the saved search itself returns, which sendGroup leaves alone
+            if (correction.kind === NOTICE_KIND.CORRECTION && correction.amount === correction.notifiedAmount) {
+                return null;
+            }
+            return correction;
+        };
+
+        /**
+         * Converts a search.Result into the values map receives; select fields come back from toJSON as
+         * [{ value, text }] instead of { value, text }.
+         */
+        const getResultValues = (result) => {
+            const values = JSON.parse(JSON.stringify(result)).values;
+            Object.keys(values).forEach((key) => {
+                if (Array.isArray(values[key])) {
+                    values[key] = values[key].length > 0 ? values[key][0] : '';
+                }
+            });
+            return values;
+        };
+
+        /**
+         * Emails the remittance of one vendor-account group and records the outcome: the delivery log, the sent
+         * flag or the retry state of the payments. Records for the run report are written to output under
+         * DELIVERY_LOGS, FAILED_RECORDS, SKIPPED_RECORDS, PREVIEW_RECORDS and DEFERRED_RECORDS.
+         * Governance usage is checked before each rendering and send step; what the units left do not cover is
+         * reported as deferred and stays pending for the next run instead of being cut off mid-send.
+         * @param {Object} group - { key, orders } with the orders built by buildOrder
+         * @param {Object} options
+         * @param {Object} options.settings - From getSettings
+         * @param {string} options.runId - Run the delivery log belongs to
+         * @param {boolean} [options.dryRun] - Save a preview instead of sending
+         * @param {boolean} [options.resend] - Email payments again even when they are already flagged as sent
+         * @param {boolean} [options.applyDigest] - Hold the payments of digest vendors until their digest is due
+         * @param {boolean} [options.holdDigest] - Always hold the payments of digest vendors, for the run to send
+         * @param {boolean} [options.applySendWindow] - Defer payments before their ACH settlement date and groups outside
+         *     the payee's send window, leaving them pending
+         * @param {boolean} [options.applyRunLimit] - Defer groups once the run has sent Max Emails per Run
+         * @param {boolean} [options.bankExport] - Pass the groups of bank remittance payees on to the run's bank export
+         *     under BANK_EXPORT_RECORDS; without it they are left for the next run that exports
+         * @param {Object} options.output - Anything with a reduceContext-style write({ key, value })
+         * @returns {Object} { status, message } - status is a DELIVERY_STATUS value, or PREVIEWED for a dry run
+         */
+        const sendGroup = (group, options) => {
+            const settings = options.settings;
+            const output = options.output;
+            const runId = options.runId;
+            let deliveryLog = null;
+            let orders = group.orders;
+
+            try {
+                // Keys of chunked groups carry a third part, the chunk number
+                let vendorId = group.key.split('_')[1];
+                let accountId = group.key.split('_')[0];
+
+                let transactionsId = orders.map((orderObj) => orderObj.orderId);
+                let vendorEmail = '';
+                let subsidiaryId = '';
+
+                orders.forEach((orderObj) => {
+                    vendorEmail = vendorEmail || orderObj.vendorEmail;
+                    subsidiaryId = subsidiaryId || orderObj.subsidiaryId;
+                });
+                log.debug('Transactions ID', transactionsId);
+
+                // Every payment of a group goes to the same payee, so they share its entity type
+                const payeeType = PAYMENT_TYPE[orders[0].paymentType || DEFAULT_PAYMENT_TYPE].entityType;
+                let vendorFields = lookupPayee(vendorId, payeeType);
+
+                // Deferred before the idempotency key is formed, so a restarted invocation keys the same payments.
+                // Opted out and bank remittance payees get no email and are dealt with below whatever the time.
+                if (!vendorFields.optedOut && !isBankPayee(vendorFields, settings)) {
+                    const deferral = { runId: runId, vendorId: vendorId, accountId: accountId };
+                    const deferralNote = getDeferralNote(vendorFields, runId, options);
+                    if (deferralNote) {
+                        deferPayments(output, deferral, orders, deferralNote);
+                        return { status: DELIVERY_STATUS.SKIPPED, message: deferralNote };
+                    }
+                    if (options.applySendWindow && settings.settlementDays > 0) {
+                        orders = deferUnsettledPayments(output, deferral, orders, vendorFields, settings, runId);
+                        if (orders.length === 0) {
+                            return { status: DELIVERY_STATUS.SKIPPED, message: 'Deferred until the ACH settlement date' };
+                        }
+                        transactionsId = orders.map((orderObj) => orderObj.orderId);
+                    }
+                }
+
+                // A resend is a deliberate second delivery, its key is tied to the run so it is still sent only once
+                let idempotencyKey = generateIdempotencyKey(vendorId, accountId, transactionsId, options.resend ? runId : '');
+
+                if (!options.dryRun) {
+                    // A group is emailed at most once: a Sent or Sending log under the same key means an earlier
+                    // invocation (this one before a restart, an overlapping or a previous run) already reached email.send
+                    const priorDelivery = findPriorDelivery(idempotencyKey);
+                    if (priorDelivery) {
+                        completePriorDelivery(output, priorDelivery, runId, transactionsId);
+                        return { status: DELIVERY_STATUS.SENT, message: `Remittance was already emailed (delivery log ${priorDelivery.logId}).` };
+                    }
+
+                    // Payments sent from the form or on approval since this group was formed are not emailed twice
+                    if (!options.resend) {
+                        const sentIds = searchSentPayments(transactionsId);
+                        if (sentIds.length > 0) {
+                            log.audit('Payments already emailed', { group: group.key, sentIds: sentIds });
+                            orders = orders.filter((orderObj) => sentIds.indexOf(String(orderObj.orderId)) === -1);
+                            transactionsId = orders.map((orderObj) => orderObj.orderId);
+                            if (orders.length === 0) {
+                                return { status: DELIVERY_STATUS.SENT, message: 'Remittance was already emailed.' };
+                            }
+                            idempotencyKey = generateIdempotencyKey(vendorId, accountId, transactionsId, '');
+                        }
+                    }
+                }
+
+                // Every attempt from here on is recorded in the delivery log, whatever its outcome
+                deliveryLog = {
+                    runId: runId,
+                    vendorId: vendorId,
+                    accountId: accountId,
+                    transactionsId: transactionsId,
+                    recipients: vendorEmail,
+                    idempotencyKey: idempotencyKey
+                };
+
+                // Opted out vendors are never emailed, their payments are closed so later runs leave them alone
+                if (vendorFields.optedOut) {
+                    const errorNote = 'Vendor opted out of remittance email';
+                    if (!options.dryRun) {
+                        setPaymentsStatus(transactionsId, DELIVERY_STATUS.OPTED_OUT);
+                    }
+                    skipGroup(output, deliveryLog, orders, errorNote, options.dryRun);
+                    return { status: DELIVERY_STATUS.SKIPPED, message: errorNote };
+                }
+
+                // Bank remittance payees get no email, unless no export format is configured to carry their remittance
+                if (isBankPayee(vendorFields, settings)) {
+                    return exportGroupToBank(output, deliveryLog, orders, options);
+                }
+
+                const isDigest = vendorFields.frequency === REMITTANCE_FREQUENCY.DAILY || vendorFields.frequency === REMITTANCE_FREQUENCY.WEEKLY;
+                if (isDigest && !options.resend
+                    && (options.holdDigest || (options.applyDigest && !isDigestDue(vendorFields, runId, settings.digestWeekday)))) {
+                    const holdNote = holdGroupForDigest(output, deliveryLog, orders, vendorFields.frequency, options.dryRun);
+                    return { status: DELIVERY_STATUS.HELD, message: holdNote };
+                }
+                let templateMapping = searchRelatedEmailTemplate({
+                    accountId: accountId,
+                    subsidiaryId: subsidiaryId,
+                    vendorCategoryId: vendorFields.categoryId,
+                    vendorLanguage: vendorFields.language
+                }, runId);
+                let emailTemplateId = templateMapping.emailTemplateId;
+                log.debug('Email Template ID', emailTemplateId);
+                deliveryLog.emailTemplateId = emailTemplateId;
+                let authorId = settings.authorId;
+                log.debug('Email Author ID', authorId);
+
+                let recipients = resolveRecipients(vendorId, vendorEmail, vendorFields, templateMapping, settings);
+                log.debug('Resolved Recipients', redact(recipients));
+                if (recipients.to.length === 0) {
+                    const errorNote = getNoRecipientNote(recipients);
+                    skipGroup(output, deliveryLog, orders, errorNote, options.dryRun, { triedSources: recipients.triedSources });
+                    return { status: DELIVERY_STATUS.SKIPPED, message: errorNote };
+                }
+                deliveryLog.recipients = recipients.to.concat(recipients.cc, recipients.bcc).join(', ');
+
+                // Generate the remittance in the vendor's format: PDF vouchers or advice, an inline table or a CSV
+                let remittance = generateRemittance(vendorFields.remittanceFormat, transactionsId, getPaymentTypes(orders), group.key, templateMapping, settings);
+
+                // Payments whose voucher could not be rendered fail on their own and are retried, the rest go out
+                if (remittance.failed.length > 0) {
+                    const failedIds = remittance.failed.map((failure) => failure.transactionId);
+                    const failedLog = Object.assign({}, deliveryLog, { transactionsId: failedIds });
+                    const voucherError = new Error(`Voucher not rendered. ${remittance.failed.map((failure) => `${failure.transactionId}: ${failure.error}`).join('. ')}`);
+                    recordGroupFailure(output, failedLog, voucherError, settings, options.dryRun);
+                    if (!options.dryRun) {
+                        writeDeliveryLog(output, failedLog);
+                    }
+
+                    orders = orders.filter((orderObj) => failedIds.indexOf(orderObj.orderId) === -1);
+                    transactionsId = orders.map((orderObj) => orderObj.orderId);
+                    deliveryLog.transactionsId = transactionsId;
+                    if (orders.length === 0) {
+                        deliveryLog = null;
+                        return { status: DELIVERY_STATUS.FAILED, message: voucherError.message };
+                    }
+                }
+                let attachments = remittance.attachments;
+                log.debug('Generated Remittance Files', attachments.map((attachment) => attachment.file.name));
+
+                //Merge Email
+                ensureUsage(USAGE.MERGE, 'merge the email');
+                var mergeResult = render.mergeEmail({
+                    templateId: emailTemplateId,
+                    entity: {
+                        type: 'employee',
+                        id: parseInt(authorId)
+                    },
+                    recipient: {
+                        type: payeeType,
+                        id: parseInt(vendorId)
+                    }
+                });
+
+                // Too many or too large attachments for one email: the group goes out as numbered emails. Links are
+                // neither, so with Secure Download Links the group is always one email.
+                const parts = settings.secureLinks
+                    ? [{ files: attachments.map((attachment) => attachment.file), transactionsId: transactionsId }]
+                    : splitAttachments(attachments, transactionsId, settings);
+                if (parts.length > 1) {
+                    log.audit('Remittance split', { group: group.key, emails: parts.length, attachments: attachments.length });
+                }
+
+                //Construct emailObj per part
+                const emailObjs = parts.map((part, index) => {
+                    let emailObj = {
+                        author: authorId,
+                        recipients: recipients.to,
+                        cc: recipients.cc,
+                        bcc: recipients.bcc,
+                        subject: parts.length > 1 ? `${mergeResult.subject} (${index + 1} of ${parts.length})` : mergeResult.subject,
+                        body: appendInlineRemittance(mergeResult.body, remittance.inlineHtml),
+                        attachments: part.files,
+                        // Shows the email on the vendor's and the first payment's Communication subtab
+                        relatedRecords: {
+                            entityId: parseInt(vendorId),
+                            transactionId: parseInt(part.transactionsId[0])
+                        }
+                    };
+                    log.debug('Email Object', describeEmail(emailObj));
+                    return emailObj;
+                });
+
+                // Dry run: save what would have been sent and leave the payments untouched
+                if (options.dryRun) {
+                    let emailFileIds = parts.map((part, index) => {
+                        ensureUsage(getPartUsage(part), `save preview ${index + 1} of ${parts.length}`);
+                        let preview = savePreview({
+                            runId: runId,
+                            groupKey: parts.length > 1 ? `${group.key}_${index + 1}` : group.key,
+                            vendorId: vendorId,
+                            vendorName: orders[0].entity,
+                            accountId: accountId,
+                            emailTemplateId: emailTemplateId,
+                            transactionsId: part.transactionsId,
+                            emailObj: emailObjs[index],
+                            previewFolderId: settings.previewFolderId,
+                            settings: settings
+                        });
+
+                        output.write({
+                            key: 'PREVIEW_RECORDS',
+                            value: JSON.stringify(preview)
+                        });
+                        return preview.emailFileId;
+                    });
+                    deliveryLog = null;
+                    return { status: PREVIEWED, message: `Preview saved to file(s) ${emailFileIds.join(', ')}.` };
+                }
+
+                // Vouchers are kept in the File Cabinet so the log can point at exactly what was attached
+                const archiveFolderId = getArchiveFolder(settings, vendorId, orders[0].entity);
+
+                // From here each part has its own delivery log, a failed part does not stop the others. Parts the units
+                // left do not cover stay pending for the next run.
+                const partLogs = [];
+                let deferredNote = '';
+                for (let index = 0; index < parts.length; index++) {
+                    const remaining = runtime.getCurrentScript().getRemainingUsage();
+                    if (remaining < getPartUsage(parts[index])) {
+                        const deferredIds = parts.slice(index).reduce((ids, part) => ids.concat(part.transactionsId), []);
+                        deferredNote = `Deferred to the next run: not enough governance units left to send email ${index + 1} of ${parts.length} (${remaining} left)`;
+                        deferPayments(output, deliveryLog, orders.filter((orderObj) => deferredIds.indexOf(orderObj.orderId) !== -1), deferredNote);
+                        break;
+                    }
+                    // The first email was counted against the run limit before the group was rendered
+                    if (index > 0 && options.applyRunLimit && isRunLimitReached(runId, settings)) {
+                        const deferredIds = parts.slice(index).reduce((ids, part) => ids.concat(part.transactionsId), []);
+                        deferredNote = `Deferred to the next run: Max Emails per Run (${settings.maxEmailsPerRun}) reached before email ${index + 1} of ${parts.length}`;
+                        deferPayments(output, deliveryLog, orders.filter((orderObj) => deferredIds.indexOf(orderObj.orderId) !== -1), deferredNote);
+                        break;
+                    }
+                    partLogs.push(sendPart(emailObjs[index], parts[index], {
+                        base: deliveryLog,
+                        archiveFolderId: archiveFolderId,
+                        settings: settings,
+                        resend: options.resend,
+                        output: output
+                    }));
+                }
+                deliveryLog = null;
+
+                // The digest period starts over once any of it reached the vendor
+                if (isDigest && options.applyDigest && partLogs.some((partLog) => partLog.status === DELIVERY_STATUS.SENT)) {
+                    recordDigestSent(vendorId, payeeType, runId);
+                }
+
+                const failedLogs = partLogs.filter((partLog) => partLog.status !== DELIVERY_STATUS.SENT);
+                if (failedLogs.length > 0) {
+                    return { status: DELIVERY_STATUS.FAILED, message: failedLogs[0].error };
+                }
+                if (partLogs.length === 0) {
+                    return { status: DELIVERY_STATUS.SKIPPED, message: deferredNote };
+                }
+                return {
+                    status: DELIVERY_STATUS.SENT,
+                    message: `Remittance emailed to ${partLogs[0].recipients}${partLogs.length > 1 ? ` in ${partLogs.length} emails` : ''}.`
+                        + (deferredNote ? ` ${deferredNote}.` : '')
+                };
+
+            } catch (e) {
+                log.error('sendGroup', e);
+                if (deliveryLog && e.name === USAGE_ERROR) {
+                    // Nothing was sent yet, the whole group waits for the next run instead of counting as a failed attempt
+                    const deferredNote = `Deferred to the next run: ${e.message}`;
+                    deferPayments(output, deliveryLog, orders.filter((orderObj) => deliveryLog.transactionsId.indexOf(orderObj.orderId) !== -1),
+                        deferredNote);
+                    return { status: DELIVERY_STATUS.SKIPPED, message: deferredNote };
+                }
+                if (deliveryLog) {
+                    recordGroupFailure(output, deliveryLog, e, settings, options.dryRun);
+                    if (!options.dryRun) {
+                        writeDeliveryLog(output, deliveryLog);
+                    }
+                }
+                return { status: DELIVERY_STATUS.FAILED, message: e.message };
+            }
+        };
+
+        /**
+         * Emails one part of a group under its own idempotency key and delivery log: the attachments are saved to
+         * the archive folder, then the payments of the part are flagged as sent or scheduled for a retry.
+         * @returns {Object} The delivery log entry of the part
+         */
+        const sendPart = (emailObj, part, options) => {
+            const runId = options.base.runId;
+            const partLog = Object.assign({}, options.base, {
+                transactionsId: part.transactionsId,
+                idempotencyKey: generateIdempotencyKey(options.base.vendorId, options.base.accountId, part.transactionsId, options.resend ? runId : ''),
+                subject: emailObj.subject
+            });
+
+            try {
+                // A restarted invocation splits the group the same way, parts already emailed are only completed
+                const priorDelivery = findPriorDelivery(partLog.idempotencyKey);
+                if (priorDelivery) {
+                    completePriorDelivery(options.output, priorDelivery, runId, part.transactionsId);
+                    partLog.status = DELIVERY_STATUS.SENT;
+                    return partLog;
+                }
+
+                partLog.attachmentFileIds = part.files.map((attachment) => {
+                    attachment.folder = options.archiveFolderId;
+                    return attachment.save();
+                });
+                useDownloadLinks(emailObj, part.files, partLog.attachmentFileIds, options.settings);
+
+                // Write-ahead: the Sending log is what stops a restarted invocation from emailing the part again
+                partLog.status = DELIVERY_STATUS.SENDING;
+                partLog.logId = saveDeliveryLog(partLog);
+                countRunEmail(runId, options.settings);
+                addTrackingToken(emailObj, partLog, options.settings);
+
+                try {
+                    email.send(emailObj);
+                    partLog.status = DELIVERY_STATUS.SENT;
+                    //Update transactionids' status to 'Email Sent' true
+                    markPaymentsSent(part.transactionsId);
+                    attachEmailToPayments(emailObj, part.transactionsId.slice(1));
+                } catch (sendEmailError) {
+                    log.error('sendEmail', sendEmailError);
+                    if (partLog.status === DELIVERY_STATUS.SENT) {
+                        // The vendor already has the email, only the flag update failed
+                        partLog.error = sendEmailError.message;
+                    } else {
+                        recordGroupFailure(options.output, partLog, sendEmailError, options.settings, false);
+                    }
+                }
+            } catch (e) {
+                log.error('sendPart', e);
+                recordGroupFailure(options.output, partLog, e, options.settings, false);
+            }
+
+            writeDeliveryLog(options.output, partLog);
+            return partLog;
+        };
+
+        /**
+         * Emails the vendor a correction or cancellation notice for a payment that was voided or whose amount changed
+         * after its remittance went out, using the Correction Email Template of the matched mapping. A changed payment
+         * gets its remittance again in the vendor's format. The notice is logged with a link to the delivery log it
+         * corrects, and the payment's notified amount is brought up to date so it is noticed only once.
+         * @param {Object} order - Order built by buildOrder, with the correction from getCorrection
+         * @param {Object} options - { settings, runId, dryRun, output } as for sendGroup
+         * @returns {Object} { status, message } - status is a DELIVERY_STATUS value, or PREVIEWED for a dry run
+         */
+        const sendCorrection = (order, options) => {
+            const settings = options.settings;
+            const output = options.output;
+            const runId = options.runId;
+            const correction = order.correction;
+            const isCancellation = correction.kind === NOTICE_KIND.CANCELLATION;
+            const groupKey = `CORRECTION_${order.orderId}`;
+            let deliveryLog = null;
+
+            try {
+                const vendorId = order.accountId.split('_')[1];
+                const accountId = order.accountId.split('_')[0];
+                const transactionsId = [order.orderId];
+                // Each change is noticed once: the key holds what is being announced, not only the payment
+                const idempotencyKey = generateIdempotencyKey(vendorId, accountId, transactionsId, `${correction.kind}|${correction.amount}`);
+
+                if (!options.dryRun) {
+                    const priorDelivery = findPriorDelivery(idempotencyKey);
+                    if (priorDelivery) {
+                        markPaymentCorrected(order);
+                        return { status: DELIVERY_STATUS.SENT, message: `Notice was already emailed (delivery log ${priorDelivery.logId}).` };
+                    }
+                }
+
+                deliveryLog = {
+                    runId: runId,
+                    vendorId: vendorId,
+                    accountId: accountId,
+                    transactionsId: transactionsId,
+                    recipients: order.vendorEmail,
+                    idempotencyKey: idempotencyKey,
+                    kind: correction.kind,
+                    originalLogId: findOriginalDelivery(order.orderId)
+                };
+
+                const payeeType = PAYMENT_TYPE[order.paymentType || DEFAULT_PAYMENT_TYPE].entityType;
+                const vendorFields = lookupPayee(vendorId, payeeType);
+                if (vendorFields.optedOut) {
+                    const errorNote = 'Vendor opted out of remittance email';
+                    if (!options.dryRun) {
+                        markPaymentCorrected(order);
+                    }
+                    skipGroup(output, deliveryLog, [order], errorNote, options.dryRun);
+                    return { status: DELIVERY_STATUS.SKIPPED, message: errorNote };
+                }
+
+                // The settlement date is long past for a notified payment, only the send window and run limit apply
+                const deferralNote = getDeferralNote(vendorFields, runId, options);
+                if (deferralNote) {
+                    deferPayments(output, deliveryLog, [order], deferralNote);
+                    return { status: DELIVERY_STATUS.SKIPPED, message: deferralNote };
+                }
+
+                const templateMapping = searchRelatedEmailTemplate({
+                    accountId: accountId,
+                    subsidiaryId: order.subsidiaryId,
+                    vendorCategoryId: vendorFields.categoryId,
+                    vendorLanguage: vendorFields.language
+                }, runId);
+                if (!templateMapping.correctionTemplateId) {
+                    throw new Error(`No correction email template mapped for account ID: ${accountId} (mapping ${templateMapping.mappingId})`);
+                }
+                deliveryLog.emailTemplateId = templateMapping.correctionTemplateId;
+
+                const recipients = resolveRecipients(vendorId, order.vendorEmail, vendorFields, templateMapping, settings);
+                if (recipients.to.length === 0) {
+                    const errorNote = getNoRecipientNote(recipients);
+                    skipGroup(output, deliveryLog, [order], errorNote, options.dryRun, { triedSources: recipients.triedSources });
+                    return { status: DELIVERY_STATUS.SKIPPED, message: errorNote };
+                }
+                deliveryLog.recipients = recipients.to.concat(recipients.cc, recipients.bcc).join(', ');
+
+                // A voided payment has nothing left to remit
+                const remittance = isCancellation
+                    ? { attachments: [], inlineHtml: '', failed: [] }
+                    : generateRemittance(vendorFields.remittanceFormat, transactionsId, getPaymentTypes([order]), groupKey, templateMapping, settings);
+                if (remittance.failed.length > 0) {
+                    throw new Error(`Voucher not rendered. ${remittance.failed[0].error}`);
+                }
+
+                ensureUsage(USAGE.MERGE, 'merge the notice');
+                const mergeResult = render.mergeEmail({
+                    templateId: templateMapping.correctionTemplateId,
+                    entity: {
+                        type: 'employee',
+                        id: parseInt(settings.authorId)
+                    },
+                    recipient: {
+                        type: payeeType,
+                        id: parseInt(vendorId)
+                    },
+                    transactionId: parseInt(order.orderId)
+                });
+
+                const emailObj = {
+                    author: settings.authorId,
+                    recipients: recipients.to,
+                    cc: recipients.cc,
+                    bcc: recipients.bcc,
+                    subject: mergeResult.subject,
+                    body: appendInlineRemittance(mergeResult.body, renderCorrectionHtml(order, correction) + remittance.inlineHtml),
+                    attachments: remittance.attachments.map((attachment) => attachment.file),
+                    relatedRecords: {
+                        entityId: parseInt(vendorId),
+                        transactionId: parseInt(order.orderId)
+                    }
+                };
+                log.debug('Correction Email Object', describeEmail(emailObj));
+
+                if (options.dryRun) {
+                    const preview = savePreview({
+                        runId: runId,
+                        groupKey: groupKey,
+                        vendorId: vendorId,
+                        vendorName: order.entity,
+                        accountId: accountId,
+                        emailTemplateId: templateMapping.correctionTemplateId,
+                        transactionsId: transactionsId,
+                        emailObj: emailObj,
+                        previewFolderId: settings.previewFolderId,
+                        settings: settings
+                    });
+                    output.write({
+                        key: 'PREVIEW_RECORDS',
+                        value: JSON.stringify(preview)
+                    });
+                    deliveryLog = null;
+                    return { status: PREVIEWED, message: `Preview saved to file ${preview.emailFileId}.` };
+                }
+
+                ensureUsage(getPartUsage({ files: remittance.attachments, transactionsId: transactionsId }), 'send the notice');
+                const archiveFolderId = getArchiveFolder(settings, vendorId, order.entity);
+                deliveryLog.subject = emailObj.subject;
+                deliveryLog.attachmentFileIds = remittance.attachments.map((attachment) => {
+                    attachment.file.folder = archiveFolderId;
+                    return attachment.file.save();
+                });
+                useDownloadLinks(emailObj, emailObj.attachments, deliveryLog.attachmentFileIds, settings);
+
+                // Write-ahead, as for a remittance
+                deliveryLog.status = DELIVERY_STATUS.SENDING;
+                deliveryLog.logId = saveDeliveryLog(deliveryLog);
+                countRunEmail(runId, settings);
+                addTrackingToken(emailObj, deliveryLog, settings);
+
+                try {
+                    email.send(emailObj);
+                    deliveryLog.status = DELIVERY_STATUS.SENT;
+                    markPaymentCorrected(order);
+                } catch (sendEmailError) {
+                    if (deliveryLog.status !== DELIVERY_STATUS.SENT) {
+                        throw sendEmailError;
+                    }
+                    // The vendor already has the notice, only the payment update failed
+                    log.error('sendCorrection', sendEmailError);
+                    deliveryLog.error = sendEmailError.message;
+                }
+
+                writeDeliveryLog(output, deliveryLog);
+                return {
+                    status: DELIVERY_STATUS.SENT,
+                    message: `${isCancellation ? 'Cancellation' : 'Correction'} notice emailed to ${deliveryLog.recipients}.`
+                };
+
+            } catch (e) {
+                log.error('sendCorrection', e);
+                if (deliveryLog && e.name === USAGE_ERROR) {
+                    const deferredNote = `Deferred to the next run: ${e.message}`;
+                    deferPayments(output, deliveryLog, [order], deferredNote);
+                    return { status: DELIVERY_STATUS.SKIPPED, message: deferredNote };
+                }
+                if (deliveryLog) {
+                    recordGroupFailure(output, deliveryLog, e, settings, options.dryRun);
+                    if (!options.dryRun) {
+                        writeDeliveryLog(output, deliveryLog);
+                    }
+                }
+                return { status: DELIVERY_STATUS.FAILED, message: e.message };
+            }
+        };
+
+        // What changed, shown above any updated remittance
+        const renderCorrectionHtml = (order, correction) => {
+            const isCancellation = correction.kind === NOTICE_KIND.CANCELLATION;
+
+            return `<h3>${isCancellation ? 'Cancelled Payment' : 'Corrected Payment'}</h3>`
+                + '<table border="1" cellpadding="4"><tr><th>Payment</th><th>Date</th><th>Previously Advised Amount</th>'
+                + `<th>${isCancellation ? 'Status' : 'Corrected Amount'}</th></tr>`
+                + `<tr><td>${escapeHtml(order.orderNumber)}</td><td>${escapeHtml(order.orderDate)}</td>`
+                + `<td>${escapeHtml(formatAmount(correction.notifiedAmount))}</td>`
+                + `<td>${isCancellation ? 'Voided' : escapeHtml(formatAmount(correction.amount))}</td></tr></table>`;
+        };
+
+        // Latest delivery log that reached the vendor for the payment, the remittance or an earlier correction of it
+        const findOriginalDelivery = (paymentId) => {
+            const results = search.create({
+                type: DELIVERY_LOG_RECORD,
+                filters: [
+                    [DELIVERY_LOG_FIELD.PAYMENTS, 'anyof', paymentId],
+                    'AND',
+                    [DELIVERY_LOG_FIELD.STATUS, 'anyof', DELIVERY_STATUS.SENT]
+                ],
+                columns: [
+                    search.createColumn({ name: 'internalid', sort: search.Sort.DESC })
+                ]
+            }).run().getRange({ start: 0, end: 1 });
+
+            return results.length > 0 ? results[0].id : '';
+        };
+
+        // Records the notice on the payment: its status, and the amount the vendor now knows about
+        const markPaymentCorrected = (order) => {
+            const correction = order.correction;
+            record.submitFields({
+                type: PAYMENT_TYPE[order.paymentType || DEFAULT_PAYMENT_TYPE].recordType,
+                id: order.orderId,
+                values: {
+                    [VENDOR_PAYMENT_FIELD_EMAIL_STATUS]: correction.kind === NOTICE_KIND.CANCELLATION ? DELIVERY_STATUS.CANCELLED : DELIVERY_STATUS.CORRECTED,
+                    [VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT]: correction.amount,
+                    [VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS]: 0,
+                    [VENDOR_PAYMENT_FIELD_NEXT_RETRY]: '',
+                    [VENDOR_PAYMENT_FIELD_LAST_ERROR]: ''
+                },
+                options: {
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                }
+            });
+        };
+
+        /**
+         * Spreads the attachments of a group over as few emails as the Max Attachments per Email and Max Attachment
+         * Size per Email parameters allow, keeping their order. Payments without an attachment (their voucher failed
+         * to render) go with the first email.
+         * @returns {Array} Parts as { files, transactionsId }, at least one
+         */
+        const splitAttachments = (attachments, transactionIds, settings) => {
+            const maxBytes = settings.maxAttachmentMb * 1024 * 1024;
+            const parts = [];
+            let current = null;
+            let currentSize = 0;
+
+            attachments.forEach((attachment) => {
+                const size = attachment.file.size || 0;
+                if (!current || current.files.length >= settings.maxAttachments || (current.files.length > 0 && currentSize + size > maxBytes)) {
+                    current = { files: [], transactionsId: [] };
+                    currentSize = 0;
+                    parts.push(current);
+                }
+                current.files.push(attachment.file);
+                currentSize += size;
+                attachment.transactionsId.forEach((transactionId) => {
+                    if (current.transactionsId.indexOf(transactionId) === -1) {
+                        current.transactionsId.push(transactionId);
+                    }
+                });
+            });
+
+            // Inline remittances have no attachment to carry their payments, every other payment has its file by now
+            if (parts.length === 0) {
+                parts.push({ files: [], transactionsId: [] });
+            }
+            transactionIds.forEach((transactionId) => {
+                if (!parts.some((part) => part.transactionsId.indexOf(transactionId) !== -1)) {
+                    parts[0].transactionsId.push(transactionId);
+                }
+            });
+
+            return parts;
+        };
+
+        // Units to keep in hand before emailing a part: archive the files, log, send, then flag or fail each payment
+        const getPartUsage = (part) => {
+            return USAGE.PART + part.files.length * USAGE.PART_FILE + part.transactionsId.length * USAGE.PART_PAYMENT;
+        };
+
+        /**
+         * Throws a USAGE_ERROR when the script has fewer governance units left than the next step needs, which
+         * sendGroup turns into a deferral of the group instead of a failed attempt.
+         * @param {number} required - Units the step needs
+         * @param {string} step - What the units are for, used in the deferral note
+         */
+        const ensureUsage = (required, step) => {
+            const remaining = runtime.getCurrentScript().getRemainingUsage();
+            if (remaining < required) {
+                const error = new Error(`not enough governance units left to ${step} (${remaining} left, ${required} needed). Lower Max Payments per Group if this keeps happening.`);
+                error.name = USAGE_ERROR;
+                throw error;
+            }
+        };
+
+        /**
+         * Folder the sent attachments are saved to: the Voucher Archive Folder, or its vendor and month
+         * (YYYY-MM of the send) subfolder when Archive per Vendor and Month is checked.
+         */
+        const getArchiveFolder = (settings, vendorId, vendorName) => {
+            if (!settings.archiveByVendor) {
+                return settings.archiveFolderId;
+            }
+
+            const vendorFolderName = `${String(vendorName || '').replace(INVALID_FOLDER_NAME_CHARS, ' ').trim()} (${vendorId})`;
+            const vendorFolderId = findOrCreateFolder(settings.archiveFolderId, vendorFolderName);
+            return findOrCreateFolder(vendorFolderId, new Date().toISOString().substring(0, 7));
+        };
+
+        const findOrCreateFolder = (parentId, name) => {
+            const cacheKey = `${parentId}/${name}`;
+            if (folderCache[cacheKey]) {
+                return folderCache[cacheKey];
+            }
+
+            const findFolder = () => {
+                const results = search.create({
+                    type: search.Type.FOLDER,
+                    filters: [
+                        ['name', 'is', name],
+                        'AND',
+                        ['parent', 'anyof', parentId]
+                    ]
+                }).run().getRange({ start: 0, end: 1 });
+                return results.length > 0 ? results[0].id : null;
+            };
+
+            let folderId = findFolder();
+            if (!folderId) {
+                try {
+                    const folder = record.create({ type: record.Type.FOLDER });
+                    folder.setValue({ fieldId: 'name', value: name });
+                    folder.setValue({ fieldId: 'parent', value: parentId });
+                    folderId = folder.save();
+                } catch (e) {
+                    // Another group of the same vendor may have created it in the meantime
+                    folderId = findFolder();
+                    if (!folderId) {
+                        throw e;
+                    }
+                }
+            }
+
+            folderCache[cacheKey] = folderId;
+            return folderId;
+        };
+
+        /**
+         * Sends the remittance of a single payment straight away, outside the Map/Reduce. The payment must be
+         * returned by the eligible ACH payments search; its retry backoff is ignored unless requested.
+         * @param {string|number} paymentId - Payment internal ID
+         * @param {Object} options
+         * @param {string} options.source - Tag added to the run ID, e.g. UI or UE
+         * @param {boolean} [options.applyRetryState] - Leave the payment alone while it waits for a retry
+         * @param {boolean} [options.holdDigest] - Hold the payment when the vendor takes a digest
+         * @param {boolean} [options.applySendWindow] - Leave the payment to the Map/Reduce before its settlement date or
+         *     outside the vendor's send window
+         * @returns {Object} { status, message } - status is null when the payment is not eligible
+         */
+        const sendPaymentRemittance = (paymentId, options) => {
+            const settings = getMapReduceSettings();
+            const runId = generateRunId(options.source);
+
+            if (!settings.searchId || !settings.authorId || !settings.printTemplateId || !settings.archiveFolderId) {
+                throw new Error(`Eligible ACH Payments, Email Author, Print Template ID and Voucher Archive Folder ID must be set on ${MR_DEPLOYMENT_ID}.`);
+            }
+
+            const results = loadPaymentsSearch(settings.searchId, {
+                paymentIds: [paymentId],
+                ignoreRetryState: !options.applyRetryState
+            }).run().getRange({ start: 0, end: 1 });
+
+            if (results.length === 0) {
+                return { status: null, message: 'The payment is not an eligible ACH payment, or it is excluded from the remittance email.' };
+            }
+
+            const values = getResultValues(results[0]);
+            const missingFields = getMissingFields(values);
+            if (missingFields.length > 0) {
+                return { status: null, message: `Missing required fields: ${missingFields.join(', ')}` };
+            }
+
+            const order = buildOrder(String(paymentId), values, runId);
+            const outcome = sendGroup({ key: order.accountId, orders: [order] }, {
+                settings: settings,
+                runId: runId,
+                holdDigest: options.holdDigest,
+                applySendWindow: options.applySendWindow,
+                output: {
+                    // There is no run report for a single payment, the delivery log is the record of the send
+                    write: (entry) => log.debug('Remittance output', redact(entry))
+                }
+            });
+
+            log.audit('Remittance sent on demand', redact({ paymentId: paymentId, runId: runId, outcome: outcome }));
+            return outcome;
+        };
+
+        /**
+         * Picks the most specific customrecord_tsc_acct_email_template_map row for a group. A row applies when every
+         * criterion it sets (account, subsidiary, vendor category, vendor language) matches; among those the one with
+         * the highest TEMPLATE_MAP_WEIGHT total wins, ties going to the oldest row. A row without criteria only
+         * applies when it is flagged as the default mapping.
+         * @param {Object} criteria - { accountId, subsidiaryId, vendorCategoryId, vendorLanguage }
+         * @param {string} runId - Run the cached mapping rows belong to
+         * @returns {Object} { mappingId, emailTemplateId, printTemplateId, recipientOverride, cc, bcc, correctionTemplateId } - the address fields as arrays
+         */
+        const searchRelatedEmailTemplate = (criteria, runId) => {
+            try {
+                let bestMatch = null;
+                let bestScore = -1;
+
+                // Rows come sorted by internal ID, so the first of equal scores is kept
+                loadTemplateMappings(runId).forEach((mapping) => {
+                    const score = scoreTemplateMapping(mapping, criteria);
+                    if (score > bestScore) {
+                        bestMatch = mapping;
+                        bestScore = score;
+                    }
+                });
+
+                // Return template mapping if found
+                if (bestMatch) {
+                    log.debug('Template mapping', { mappingId: bestMatch.id, score: bestScore, criteria: criteria });
+                    return {
+                        mappingId: bestMatch.id,
+                        emailTemplateId: bestMatch[TEMPLATE_MAP_FIELD.EMAIL_TEMPLATE],
+                        printTemplateId: bestMatch[TEMPLATE_MAP_FIELD.PRINT_TEMPLATE],
+                        recipientOverride: splitAddresses(bestMatch[TEMPLATE_MAP_FIELD.RECIPIENT_OVERRIDE]),
+                        cc: splitAddresses(bestMatch[TEMPLATE_MAP_FIELD.CC]),
+                        bcc: splitAddresses(bestMatch[TEMPLATE_MAP_FIELD.BCC]),
+                        correctionTemplateId: bestMatch[TEMPLATE_MAP_FIELD.CORRECTION_TEMPLATE]
+                    };
+                } else {
+                    throw new Error('No email template found for account ID: ' + criteria.accountId);
+                }
+            } catch (e) {
+                log.error('searchRelatedEmailTemplate', e);
+                throw e;
+            }
+        }
+
+        /**
+         * Active mapping rows as plain objects keyed by field ID, searched once per run and then served from
+         * N/cache, so the reduce invocations of a run do not each search the mapping again.
+         */
+        const loadTemplateMappings = (runId) => {
+            const mappingCache = cache.getCache({ name: TEMPLATE_MAP_CACHE, scope: cache.Scope.PRIVATE });
+
+            return JSON.parse(mappingCache.get({
+                key: runId || 'default',
+                ttl: TEMPLATE_MAP_CACHE_TTL,
+                loader: () => {
+                    const mappings = [];
+                    search.create({
+                        type: TEMPLATE_MAP_RECORD,
+                        filters: [
+                            ['isinactive', 'is', 'F']
+                        ],
+                        columns: [
+                            search.createColumn({ name: 'internalid', sort: search.Sort.ASC }),
+                            TEMPLATE_MAP_FIELD.ACCOUNT,
+                            TEMPLATE_MAP_FIELD.EMAIL_TEMPLATE,
+                            TEMPLATE_MAP_FIELD.RECIPIENT_OVERRIDE,
+                            TEMPLATE_MAP_FIELD.CC,
+                            TEMPLATE_MAP_FIELD.BCC,
+                            TEMPLATE_MAP_FIELD.SUBSIDIARY,
+                            TEMPLATE_MAP_FIELD.VENDOR_CATEGORY,
+                            TEMPLATE_MAP_FIELD.VENDOR_LANGUAGE,
+                            TEMPLATE_MAP_FIELD.PRINT_TEMPLATE,
+                            TEMPLATE_MAP_FIELD.IS_DEFAULT,
+                            TEMPLATE_MAP_FIELD.CORRECTION_TEMPLATE
+                        ]
+                    }).run().each((result) => {
+                        const mapping = { id: result.id };
+                        Object.keys(TEMPLATE_MAP_FIELD).forEach((key) => {
+                            mapping[TEMPLATE_MAP_FIELD[key]] = result.getValue(TEMPLATE_MAP_FIELD[key]);
+                        });
+                        mappings.push(mapping);
+                        return true;
+                    });
+
+                    log.audit('Template mappings loaded', { runId: runId, count: mappings.length });
+                    return JSON.stringify(mappings);
+                }
+            }));
+        };
+
+        /**
+         * @returns {number} Specificity of the mapping row, -1 when one of its criteria does not match
+         */
+        const scoreTemplateMapping = (mapping, criteria) => {
+            const matchers = [
+                [TEMPLATE_MAP_FIELD.ACCOUNT, TEMPLATE_MAP_WEIGHT.ACCOUNT, criteria.accountId],
+                [TEMPLATE_MAP_FIELD.SUBSIDIARY, TEMPLATE_MAP_WEIGHT.SUBSIDIARY, criteria.subsidiaryId],
+                [TEMPLATE_MAP_FIELD.VENDOR_CATEGORY, TEMPLATE_MAP_WEIGHT.VENDOR_CATEGORY, criteria.vendorCategoryId],
+                [TEMPLATE_MAP_FIELD.VENDOR_LANGUAGE, TEMPLATE_MAP_WEIGHT.VENDOR_LANGUAGE, criteria.vendorLanguage]
+            ];
+            let score = 0;
+
+            for (let i = 0; i < matchers.length; i++) {
+                const mappingValue = String(mapping[matchers[i][0]] || '').toLowerCase();
+                if (!mappingValue) {
+                    continue;
+                }
+                if (mappingValue !== String(matchers[i][2] || '').toLowerCase()) {
+                    return -1;
+                }
+                score += matchers[i][1];
+            }
+
+            const isDefault = mapping[TEMPLATE_MAP_FIELD.IS_DEFAULT] === true || mapping[TEMPLATE_MAP_FIELD.IS_DEFAULT] === 'T';
+            return score === 0 && !isDefault ? -1 : score;
+        };
+
+        /**
+         * Payee fields used to pick the template mapping and the recipients, and the payee's remittance preferences.
+         * The remittance entity fields apply to vendors, customers and employees alike.
+         * @param {string} vendorId - Payee internal ID
+         * @param {string} entityType - vendor, customer or employee
+         * @returns {Object} { categoryId, language, remittanceEmail, remittanceCc, remittanceBcc, optedOut, remittanceFormat,
+         *     frequency, lastDigestRunId, bouncedAddresses, timeZone } - the address fields as arrays
+         */
+        const lookupPayee = (vendorId, entityType) => {
+            const matchFields = PAYEE_MATCH_FIELDS[entityType] || {};
+            const vendorFields = search.lookupFields({
+                type: entityType,
+                id: vendorId,
+                columns: Object.keys(matchFields).map((key) => matchFields[key]).concat([VENDOR_FIELD_REMITTANCE_EMAIL,
+                    VENDOR_FIELD_REMITTANCE_CC, VENDOR_FIELD_REMITTANCE_BCC, VENDOR_FIELD_OPT_OUT, VENDOR_FIELD_REMITTANCE_FORMAT,
+                    VENDOR_FIELD_FREQUENCY, VENDOR_FIELD_LAST_DIGEST, VENDOR_FIELD_BOUNCED_EMAILS, VENDOR_FIELD_TIME_ZONE])
+            });
+            // Select fields come back as [{ value, text }]
+            const selectValue = (value) => Array.isArray(value) ? (value.length > 0 ? value[0].value : '') : value || '';
+
+            return {
+                categoryId: matchFields.category ? selectValue(vendorFields[matchFields.category]) : '',
+                language: matchFields.language ? selectValue(vendorFields[matchFields.language]) : '',
+                remittanceEmail: splitAddresses(vendorFields[VENDOR_FIELD_REMITTANCE_EMAIL]),
+                remittanceCc: splitAddresses(vendorFields[VENDOR_FIELD_REMITTANCE_CC]),
+                remittanceBcc: splitAddresses(vendorFields[VENDOR_FIELD_REMITTANCE_BCC]),
+                optedOut: vendorFields[VENDOR_FIELD_OPT_OUT] === true,
+                remittanceFormat: selectValue(vendorFields[VENDOR_FIELD_REMITTANCE_FORMAT]) || REMITTANCE_FORMAT.PDF,
+                frequency: selectValue(vendorFields[VENDOR_FIELD_FREQUENCY]) || REMITTANCE_FREQUENCY.IMMEDIATE,
+                lastDigestRunId: vendorFields[VENDOR_FIELD_LAST_DIGEST] || '',
+                bouncedAddresses: splitAddresses(vendorFields[VENDOR_FIELD_BOUNCED_EMAILS]).map((address) => address.toLowerCase()),
+                timeZone: String(vendorFields[VENDOR_FIELD_TIME_ZONE] || '').trim()
+            };
+        };
+
+        /**
+         * A digest is due once per period: every day for a daily digest, from the Weekly Digest Day on for a weekly one.
+         * Periods follow the run date, so all groups of the vendor in the run that sends the digest go out with it.
+         */
+        const isDigestDue = (vendorFields, runId, digestWeekday) => {
+            if (vendorFields.lastDigestRunId === runId) {
+                return true;
+            }
+
+            const runDate = getRunDate(runId);
+            let periodStart = runDate;
+            if (vendorFields.frequency === REMITTANCE_FREQUENCY.WEEKLY) {
+                const date = new Date(Date.UTC(runDate.substring(0, 4), runDate.substring(4, 6) - 1, runDate.substring(6, 8)));
+                const weekday = date.getUTCDay() || 7;
+                date.setUTCDate(date.getUTCDate() - (weekday - digestWeekday + 7) % 7);
+                periodStart = date.toISOString().split('T')[0].replace(/-/g, '');
+            }
+
+            const lastDigestDate = getRunDate(vendorFields.lastDigestRunId);
+            return !lastDigestDate || lastDigestDate < periodStart;
+        };
+
+        // YYYYMMDD of a run ID from generateRunId, empty when it is not one
+        const getRunDate = (runId) => {
+            const match = /^ACH(\d{8})T/.exec(runId || '');
+            return match ? match[1] : '';
+        };
+
+        const recordDigestSent = (vendorId, entityType, runId) => {
+            try {
+                record.submitFields({
+                    type: entityType,
+                    id: vendorId,
+                    values: {
+                        [VENDOR_FIELD_LAST_DIGEST]: runId
+                    },
+                    options: {
+                        enableSourcing: false,
+                        ignoreMandatoryFields: true
+                    }
+                });
+            } catch (e) {
+                // Only means the next run sends the digest again early, never that a payment is lost
+                log.error('Error recording remittance digest for payee ' + vendorId, e);
+            }
+        };
+
+        /**
+         * Leaves a group for the vendor's digest: its payments are marked Held for Digest, which keeps them in the
+         * eligible payments until the digest takes them, and reported under HELD_RECORDS.
+         * @returns {string} The note recorded for the hold
+         */
+        const holdGroupForDigest = (output, deliveryLog, orders, frequency, dryRun) => {
+            const holdNote = `Held for the ${frequency === REMITTANCE_FREQUENCY.WEEKLY ? 'weekly' : 'daily'} remittance digest`;
+            log.audit('Group held', { vendorId: deliveryLog.vendorId, accountId: deliveryLog.accountId, holdNote: holdNote });
+
+            if (!dryRun) {
+                setPaymentsStatus(deliveryLog.transactionsId, DELIVERY_STATUS.HELD);
+            }
+
+            output.write({
+                key: 'HELD_RECORDS',
+                value: JSON.stringify(orders.map((orderObj) => ({
+                    recordId: orderObj.orderId,
+                    tranid: orderObj.orderNumber,
+                    entity: orderObj.entity,
+                    accountId: deliveryLog.accountId,
+                    entityId: deliveryLog.vendorId,
+                    errorNote: holdNote,
+                    runId: deliveryLog.runId
+                })))
+            });
+
+            return holdNote;
+        };
+
+        // Whether the payee's remittance goes out with the run's bank export rather than by email
+        const isBankPayee = (vendorFields, settings) => {
+            return vendorFields.remittanceFormat === REMITTANCE_FORMAT.BANK && settings.bankExportFormats.length > 0;
+        };
+
+        /**
+         * Why a group cannot be emailed right now: the payee's send window is closed, a weekend or bank holiday in
+         * its time zone included, or the run has sent its Max Emails per Run.
+         * @param {Object} options - sendGroup options, applySendWindow and applyRunLimit say which checks apply
+         * @returns {string} The deferral note, empty when the group can go out
+         */
+        const getDeferralNote = (vendorFields, runId, options) => {
+            const settings = options.settings;
+
+            if (options.applySendWindow && settings.sendWindowStart !== null) {
+                const localNow = getLocalNow(vendorFields.timeZone);
+                const zoneName = vendorFields.timeZone || 'company time zone';
+                if (!isBusinessDay(localNow.isoDate, loadHolidays(runId))) {
+                    return `Deferred to the next run: ${localNow.isoDate} is not a business day (${zoneName})`;
+                }
+                if (localNow.hour < settings.sendWindowStart || localNow.hour >= settings.sendWindowEnd) {
+                    return `Deferred to the next run: outside the send window of ${settings.sendWindowStart}:00 to ${settings.sendWindowEnd}:00 (${zoneName})`;
+                }
+            }
+
+            if (options.applyRunLimit && isRunLimitReached(runId, settings)) {
+                return `Deferred to the next run: Max Emails per Run (${settings.maxEmailsPerRun}) reached`;
+            }
+            return '';
+        };
+
+        /**
+         * Defers the payments of a group that have not settled yet, Settlement Days business days after their
+         * payment date, and reports them under DEFERRED_RECORDS.
+         * @returns {Array} The orders that have settled
+         */
+        const deferUnsettledPayments = (output, deferral, orders, vendorFields, settings, runId) => {
+            const holidays = loadHolidays(runId);
+            const today = getLocalNow(vendorFields.timeZone).isoDate;
+            const unsettled = {};
+
+            const settledOrders = orders.filter((orderObj) => {
+                const settlementDate = addBusinessDays(toIsoDate(format.parse({ value: orderObj.orderDate, type: format.Type.DATE })),
+                    settings.settlementDays, holidays);
+                if (settlementDate <= today) {
+                    return true;
+                }
+                unsettled[settlementDate] = (unsettled[settlementDate] || []).concat([orderObj]);
+                return false;
+            });
+
+            Object.keys(unsettled).forEach((settlementDate) => {
+                deferPayments(output, deferral, unsettled[settlementDate], `Deferred until the ACH settlement date ${settlementDate}`);
+            });
+            return settledOrders;
+        };
+
+        /**
+         * Leaves payments for a later run without touching them, so they stay pending, and reports them under
+         * DEFERRED_RECORDS. Nothing is logged on the payments, a deferral is not a delivery attempt.
+         * @param {Object} deferral - { runId, vendorId, accountId } of the group
+         */
+        const deferPayments = (output, deferral, orders, note) => {
+            log.audit('Payments deferred', { vendorId: deferral.vendorId, accountId: deferral.accountId, paymentCount: orders.length, note: note });
+
+            output.write({
+                key: 'DEFERRED_RECORDS',
+                value: JSON.stringify(orders.map((orderObj) => ({
+                    recordId: orderObj.orderId,
+                    tranid: orderObj.orderNumber,
+                    entity: orderObj.entity,
+                    accountId: deferral.accountId,
+                    entityId: deferral.vendorId,
+                    errorNote: note,
+                    runId: deferral.runId
+                })))
+            });
+        };
+
+        /**
+         * Whether the run has sent Max Emails per Run. Exact as long as the deployment's concurrency limit is 1,
+         * otherwise parallel reduce invocations can each send one more. A dry run writes no logs and so previews
+         * every email.
+         */
+        const isRunLimitReached = (runId, settings) => {
+            if (!settings.maxEmailsPerRun || !runId) {
+                return false;
+            }
+            return getRunEmailCount(runId) >= settings.maxEmailsPerRun;
+        };
+
+        /**
+         * Emails the run has sent, kept in N/cache. The delivery logs of the run, including the write-ahead Sending
+         * ones, are only counted when the cache has no entry: on the run's first check or after the entry expired.
+         */
+        const getRunEmailCount = (runId) => {
+            const countCache = cache.getCache({ name: RUN_EMAIL_COUNT_CACHE, scope: cache.Scope.PRIVATE });
+
+            return parseInt(countCache.get({
+                key: runId,
+                ttl: TEMPLATE_MAP_CACHE_TTL,
+                loader: () => String(search.create({
+                    type: DELIVERY_LOG_RECORD,
+                    filters: [
+                        [DELIVERY_LOG_FIELD.RUN_ID, 'is', runId],
+                        'AND',
+                        [DELIVERY_LOG_FIELD.STATUS, 'anyof', [DELIVERY_STATUS.SENT, DELIVERY_STATUS.SENDING, DELIVERY_STATUS.BOUNCED]]
+                    ]
+                }).runPaged().count)
+            }), 10);
+        };
+
+        /**
+         * Adds an email to the run's count once its write-ahead Sending log is saved. Without a cache entry there is
+         * nothing to add to, the next check counts the logs and with them this one.
+         */
+        const countRunEmail = (runId, settings) => {
+            if (!settings.maxEmailsPerRun || !runId) {
+                return;
+            }
+            const countCache = cache.getCache({ name: RUN_EMAIL_COUNT_CACHE, scope: cache.Scope.PRIVATE });
+            const emailCount = countCache.get({ key: runId });
+            if (emailCount === null) {
+                return;
+            }
+            countCache.put({
+                key: runId,
+                value: String(parseInt(emailCount, 10) + 1),
+                ttl: TEMPLATE_MAP_CACHE_TTL
+            });
+        };
+
+        /**
+         * Current wall-clock date and hour in a time zone. format.parse reads a formatted time in the script user's
+         * time zone, so the zone's time and the UTC time are both read back that way and their difference is the
+         * zone's offset from UTC. An unknown time zone falls back to the company's.
+         * @param {string} [timeZone] - Olson ID, e.g. America/Chicago
+         * @returns {Object} { isoDate: 'YYYY-MM-DD', hour: 0-23 }
+         */
+        const getLocalNow = (timeZone) => {
+            const now = new Date();
+            const readBack = (zone) => {
+                const formatOptions = { value: now, type: format.Type.DATETIME };
+                if (zone) {
+                    formatOptions.timezone = zone;
+                }
+                return format.parse({ value: format.format(formatOptions), type: format.Type.DATETIME }).getTime();
+            };
+
+            let zoneTime;
+            try {
+                zoneTime = readBack(timeZone);
+            } catch (e) {
+                log.error('Unknown remittance time zone', { timeZone: timeZone, error: e.message });
+                zoneTime = readBack();
+            }
+            // now shifted by the zone's offset, so its UTC date and hour are the zone's wall clock
+            const wallClock = new Date(now.getTime() + zoneTime - readBack(UTC_TIME_ZONE));
+            return {
+                isoDate: wallClock.toISOString().substring(0, 10),
+                hour: wallClock.getUTCHours()
+            };
+        };
+
+        // Dates as YYYY-MM-DD, so weekdays and day counts are worked out in UTC whatever the time zone
+        const isBusinessDay = (isoDate, holidays) => {
+            const weekday = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+            return weekday !== 0 && weekday !== 6 && holidays.indexOf(isoDate) === -1;
+        };
+
+        const addBusinessDays = (isoDate, days, holidays) => {
+            const date = new Date(`${isoDate}T00:00:00Z`);
+            let added = 0;
+            while (added < days) {
+                date.setUTCDate(date.getUTCDate() + 1);
+                if (isBusinessDay(date.toISOString().substring(0, 10), holidays)) {
+                    added++;
+                }
+            }
+            return date.toISOString().substring(0, 10);
+        };
+
+        /**
+         * Active bank holidays as YYYY-MM-DD dates, searched once per run and then served from N/cache like the
+         * template mapping rows.
+         */
+        const loadHolidays = (runId) => {
+            const holidayCache = cache.getCache({ name: HOLIDAY_CACHE, scope: cache.Scope.PRIVATE });
+
+            return JSON.parse(holidayCache.get({
+                key: runId || 'default',
+                ttl: TEMPLATE_MAP_CACHE_TTL,
+                loader: () => {
+                    const holidays = [];
+                    search.create({
+                        type: HOLIDAY_RECORD,
+                        filters: [
+                            ['isinactive', 'is', 'F']
+                        ],
+                        columns: [HOLIDAY_FIELD_DATE]
+                    }).run().each((result) => {
+                        const holidayDate = result.getValue(HOLIDAY_FIELD_DATE);
+                        if (holidayDate) {
+                            holidays.push(toIsoDate(format.parse({ value: holidayDate, type: format.Type.DATE })));
+                        }
+                        return true;
+                    });
+
+                    log.audit('Bank holidays loaded', { runId: runId, count: holidays.length });
+                    return JSON.stringify(holidays);
+                }
+            }));
+        };
+
+        /**
+         * Passes a group of a bank remittance payee to the run's export: its payments, read as for the consolidated
+         * advice, are written under BANK_EXPORT_RECORDS for summarize to build the files from and flag them as sent.
+         * Payments the configured formats cannot carry fail the group instead, so they are retried or reported.
+         * @returns {Object} { status, message } as for sendGroup
+         */
+        const exportGroupToBank = (output, deliveryLog, orders, options) => {
+            const settings = options.settings;
+            // Only the Map/Reduce saves an export, the Send Remittance button and approval leave the payments pending
+            if (!options.bankExport) {
+                const note = 'Left for the bank remittance export of the next run';
+                skipGroup(output, deliveryLog, orders, note, options.dryRun);
+                return { status: DELIVERY_STATUS.SKIPPED, message: note };
+            }
+
+            const remittance = buildRemittanceData(deliveryLog.transactionsId, getPaymentTypes(orders));
+            const payments = remittance.payments.map((payment) => ({
+                paymentId: payment.id,
+                tranid: payment.tranid,
+                trandate: payment.trandateValue,
+                currency: payment.currencyCode,
+                amount: payment.totalValue,
+                payeeId: deliveryLog.vendorId,
+                payeeName: remittance.vendorName,
+                payerName: remittance.subsidiaryName,
+                lines: payment.lines.map((line) => ({
+                    kind: line.kind,
+                    reference: line.reference,
+                    date: line.dateValue,
+                    originalAmount: Math.abs(parseFloat(line.originalAmountValue)),
+                    discount: parseFloat(line.discountValue),
+                    amount: Math.abs(parseFloat(line.amountValue))
+                }))
+            }));
+
+            const exportOptions = { runId: deliveryLog.runId, senderId: settings.ediSenderId };
+            const errors = payments.reduce((messages, payment) => messages.concat(
+                bankExport.validatePayment(payment, settings.bankExportFormats, exportOptions).map((message) => `${payment.tranid}: ${message}`)
+            ), []);
+            if (errors.length > 0) {
+                throw new Error(`Bank remittance export not possible. ${errors.join('. ')}`);
+            }
+
+            // The payments stay pending until summarize has saved the export files, see recordBankExportSent
+            output.write({
+                key: 'BANK_EXPORT_RECORDS',
+                value: JSON.stringify({
+                    vendorId: deliveryLog.vendorId,
+                    accountId: deliveryLog.accountId,
+                    runId: deliveryLog.runId,
+                    transactionsId: deliveryLog.transactionsId,
+                    idempotencyKey: deliveryLog.idempotencyKey,
+                    payments: payments
+                })
+            });
+
+            return options.dryRun
+                ? { status: PREVIEWED, message: `${payments.length} payment(s) added to the bank remittance export preview.` }
+                : { status: DELIVERY_STATUS.SENDING, message: `${payments.length} payment(s) added to the bank remittance export.` };
+        };
+
+        /**
+         * Flags the payments of a group written under BANK_EXPORT_RECORDS as sent, with a Sent delivery log pointing
+         * at the export files. Called by summarize once the files are saved, so a payment is never flagged for an
+         * export that does not exist.
+         * @param {Object} group - The BANK_EXPORT_RECORDS value
+         * @param {Array} fileIds - Internal IDs of the saved export files
+         */
+        const recordBankExportSent = (group, fileIds) => {
+            markPaymentsSent(group.transactionsId);
+            saveDeliveryLog({
+                runId: group.runId,
+                vendorId: group.vendorId,
+                accountId: group.accountId,
+                transactionsId: group.transactionsId,
+                idempotencyKey: group.idempotencyKey,
+                attachmentFileIds: fileIds,
+                status: DELIVERY_STATUS.SENT,
+                error: `Included in the bank remittance export of run ${group.runId}`
+            });
+        };
+
+        /**
+         * Builds the remittance of a group in the vendor's format. PDF is the individual vouchers, or the consolidated
+         * advice when the Consolidated parameter is set; HTML is a table for the email body; CSV is the advice lines
+         * as the only attachment.
+         * @param {Object} paymentTypes - PAYMENT_TYPE key by payment internal ID, from getPaymentTypes
+         * @returns {Object} { attachments, inlineHtml, failed } - attachments as { file, transactionsId }, failed as
+         *     { transactionId, error } for the payments whose voucher could not be rendered
+         */
+        const generateRemittance = (remittanceFormat, transactionIds, paymentTypes, groupKey, templateMapping, settings) => {
+            if (remittanceFormat === REMITTANCE_FORMAT.HTML) {
+                return { attachments: [], inlineHtml: renderRemittanceHtml(buildRemittanceData(transactionIds, paymentTypes)), failed: [] };
+            }
+
+            if (remittanceFormat === REMITTANCE_FORMAT.CSV) {
+                const remittance = buildRemittanceData(transactionIds, paymentTypes);
+                const csvFile = createRemittanceCsv(remittance, `ACH_Remittance_${groupKey}_${remittance.fileDate}`);
+                return { attachments: [{ file: csvFile, transactionsId: transactionIds }], inlineHtml: '', failed: [] };
+            }
+
+            if (settings.consolidated) {
+                return {
+                    attachments: generateConsolidatedRemittanceAdvice(transactionIds, paymentTypes, groupKey, settings.consolidatedTemplateId),
+                    inlineHtml: '',
+                    failed: []
+                };
+            }
+
+            const vouchers = generateIndividualPaymentVoucher(transactionIds, paymentTypes, templateMapping, settings);
+            return { attachments: vouchers.attachments, inlineHtml: '', failed: vouchers.failed };
+        };
+
+        /**
+         * Renders one voucher per payment with the template of its payment type. Files are saved later, into the
+         * archive or the preview folder. A payment whose voucher fails to render is returned in failed instead.
+         * @returns {Object} { attachments, failed } - attachments as { file, transactionsId }, failed as { transactionId, error }
+         */
+        const generateIndividualPaymentVoucher = (transactionIds, paymentTypes, templateMapping, settings) => {
+
+            let pdfFiles = [];
+            const failed = [];
+
+            transactionIds.forEach((transactionId) => {
+                ensureUsage(USAGE.VOUCHER, `render the voucher of payment ${transactionId}`);
+                try {
+                    const paymentType = paymentTypes[transactionId] || DEFAULT_PAYMENT_TYPE;
+                    const printTemplateId = getPrintTemplateId(paymentType, templateMapping, settings);
+                    if (!printTemplateId) {
+                        throw new Error(`No print template configured for ${PAYMENT_TYPE[paymentType].label} payments`);
+                    }
+
+                    // Create renderer
+                    let renderer = render.create();
+
+                    // Set template
+                    renderer.setTemplateByScriptId({
+                        scriptId: printTemplateId
+                    });
+
+                    // Add record, with its bank account numbers masked in memory only, the payment itself is not saved
+                    const paymentRecord = record.load({
+                        type: PAYMENT_TYPE[paymentType].recordType,
+                        id: transactionId
+                    });
+                    maskBankFields(paymentRecord, settings.maskFieldIds);
+                    renderer.addRecord({
+                        templateName: 'record',
+                        record: paymentRecord
+                    });
+
+                    // Render PDF
+                    let pdfContent = renderer.renderAsPdf();
+
+                    // Create file record
+                    let pdfFile = file.create({
+                        name: 'ACH_Payment_' + transactionId + '.pdf',
+                        fileType: file.Type.PDF,
+                        contents: pdfContent.getContents()
+                    });
+
+                    // Keep the payment with its voucher so a split email carries the right payments
+                    pdfFiles.push({ file: pdfFile, transactionsId: [transactionId] });
+                } catch (e) {
+                    log.error('Error generating PDF for transaction ' + transactionId, e);
+                    failed.push({ transactionId: transactionId, error: e.message });
+                }
+            });
+
+            return { attachments: pdfFiles, failed: failed };
+        };
+
+        /**
+         * Renders a single remittance advice for a vendor-account group: every payment with the bills and credits it
+         * settled and totals per currency, as a PDF plus a CSV of the same lines for the vendor's AR team.
+         * @returns {Array} Attachments as { file, transactionsId } for the PDF and the CSV, empty when the advice could
+         *     not be generated
+         */
+        const generateConsolidatedRemittanceAdvice = (transactionIds, paymentTypes, groupKey, templateId) => {
+            try {
+                const remittance = buildRemittanceData(transactionIds, paymentTypes);
+                const fileName = `ACH_Remittance_${groupKey}_${remittance.fileDate}`;
+
+                let renderer = render.create();
+                if (templateId) {
+                    renderer.setTemplateByScriptId({ scriptId: templateId });
+                } else {
+                    renderer.templateContent = file.load({ id: CONSOLIDATED_TEMPLATE_FILE }).getContents();
+                }
+                renderer.addCustomDataSource({
+                    format: render.DataSource.OBJECT,
+                    alias: 'remittance',
+                    data: remittance
+                });
+
+                const pdfFile = file.create({
+                    name: fileName + '.pdf',
+                    fileType: file.Type.PDF,
+                    contents: renderer.renderAsPdf().getContents()
+                });
+
+                const csvFile = createRemittanceCsv(remittance, fileName);
+
+                return [pdfFile, csvFile].map((adviceFile) => ({ file: adviceFile, transactionsId: transactionIds }));
+            } catch (e) {
+                // The group fails and is retried, an email without its advice would flag the payments as sent
+                if (e.name !== USAGE_ERROR) {
+                    log.error('Error generating consolidated remittance advice for ' + groupKey, e);
+                }
+                throw e;
+            }
+        };
+
+        // The applied lines of the remittance, one row each, for the vendor's AR team
+        const createRemittanceCsv = (remittance, fileName) => {
+            const csvLines = [toCsvRow(REMITTANCE_CSV_HEADER)];
+            remittance.payments.forEach((payment) => {
+                payment.lines.forEach((line) => {
+                    csvLines.push(toCsvRow([
+                        payment.tranid,
+                        payment.trandate,
+                        payment.currency,
+                        line.type,
+                        line.reference,
+                        line.date,
+                        line.originalAmountValue,
+                        line.discountValue,
+                        line.amountValue
+                    ]));
+                });
+            });
+
+            return file.create({
+                name: fileName + '.csv',
+                fileType: file.Type.CSV,
+                contents: csvLines.join('\n')
+            });
+        };
+
+        // The remittance as HTML tables for vendors who take it in the email body
+        const renderRemittanceHtml = (remittance) => {
+            let html = '<h3>Remittance Advice</h3>';
+
+            remittance.payments.forEach((payment) => {
+                html += `<p><b>Payment ${escapeHtml(payment.tranid)}</b>, ${escapeHtml(payment.trandate)}: ${escapeHtml(payment.total)} ${escapeHtml(payment.currency)}</p>`
+                    + '<table border="1" cellpadding="4"><tr><th>Type</th><th>Reference</th><th>Date</th>'
+                    + '<th>Original Amount</th><th>Discount</th><th>Amount Applied</th></tr>';
+                payment.lines.forEach((line) => {
+                    html += `<tr><td>${escapeHtml(line.type)}</td><td>${escapeHtml(line.reference)}</td><td>${escapeHtml(line.date)}</td>`
+                        + `<td>${escapeHtml(line.originalAmount)}</td><td>${escapeHtml(line.discount)}</td><td>${escapeHtml(line.amount)}</td></tr>`;
+                });
+                html += '</table>';
+            });
+
+            remittance.currencyTotals.forEach((total) => {
+                html += `<p><b>Total ${escapeHtml(total.currency)}</b> (${total.paymentCount} payment(s)): ${escapeHtml(total.total)}</p>`;
+            });
+
+            return html;
+        };
+
+        // Inline remittance goes at the end of the merged body, inside it when the template is a full HTML document
+        const appendInlineRemittance = (body, inlineHtml) => {
+            if (!inlineHtml) {
+                return body;
+            }
+            return /<\/body>/i.test(body) ? body.replace(/<\/body>/i, inlineHtml + '</body>') : body + inlineHtml;
+        };
+
+        /**
+         * Reads the payments of a group into the data bound to the consolidated advice template. The lines come from
+         * the sublists of each payment type, e.g. bills from apply and vendor credits from credit for a bill payment;
+         * only lines applied by the payment are included. A prepayment has none, only its total.
+         * Values are pre-formatted strings so the template never has to deal with empty fields.
+         */
+        const buildRemittanceData = (transactionIds, paymentTypes) => {
+            const currencyTotals = {};
+            const remittance = {
+                vendorName: '',
+                subsidiaryName: '',
+                generatedDate: formatDate(new Date()),
+                fileDate: new Date().toISOString().split('T')[0].replace(/-/g, ''),
+                payments: [],
+                currencyTotals: []
+            };
+
+            transactionIds.forEach((transactionId) => {
+                ensureUsage(USAGE.PAYMENT_LOAD, `read payment ${transactionId} for the consolidated advice`);
+                const paymentType = PAYMENT_TYPE[paymentTypes[transactionId] || DEFAULT_PAYMENT_TYPE];
+                const paymentRecord = record.load({
+                    type: paymentType.recordType,
+                    id: transactionId
+                });
+                const currency = paymentRecord.getText({ fieldId: 'currency' });
+                const currencyId = paymentRecord.getValue({ fieldId: 'currency' });
+                const total = parseFloat(paymentRecord.getValue({ fieldId: 'total' })) || 0;
+                const lines = [];
+
+                remittance.vendorName = remittance.vendorName || paymentRecord.getText({ fieldId: 'entity' });
+                remittance.subsidiaryName = remittance.subsidiaryName || paymentRecord.getText({ fieldId: 'subsidiary' }) || '';
+
+                paymentType.sublists.forEach((sublist) => {
+                    const lineCount = paymentRecord.getLineCount({ sublistId: sublist.sublistId });
+                    for (let line = 0; line < lineCount; line++) {
+                        const getValue = (fieldId) => paymentRecord.getSublistValue({ sublistId: sublist.sublistId, fieldId: fieldId, line: line });
+                        if (getValue('apply') !== true) {
+                            continue;
+                        }
+                        // Credits reduce what was paid
+                        const amount = sublist.sign * (parseFloat(getValue('amount')) || 0);
+                        const originalAmount = sublist.sign * (parseFloat(getValue('total')) || 0);
+                        const discount = parseFloat(getValue('disc')) || 0;
+
+                        lines.push({
+                            type: paymentRecord.getSublistText({ sublistId: sublist.sublistId, fieldId: 'type', line: line }) || sublist.defaultType,
+                            kind: sublist.sign < 0 ? 'credit' : 'invoice',
+                            reference: getValue('refnum') || '',
+                            date: formatDate(getValue(sublist.dateField)),
+                            dateValue: toIsoDate(getValue(sublist.dateField)),
+                            originalAmount: formatAmount(originalAmount),
+                            discount: formatAmount(discount),
+                            amount: formatAmount(amount),
+                            originalAmountValue: originalAmount.toFixed(2),
+                            discountValue: discount.toFixed(2),
+                            amountValue: amount.toFixed(2)
+                        });
+                    }
+                });
+
+                remittance.payments.push({
+                    id: transactionId,
+                    tranid: paymentRecord.getValue({ fieldId: 'tranid' }) || '',
+                    trandate: formatDate(paymentRecord.getValue({ fieldId: 'trandate' })),
+                    trandateValue: toIsoDate(paymentRecord.getValue({ fieldId: 'trandate' })),
+                    currency: currency,
+                    currencyCode: getCurrencyCode(currencyId),
+                    total: formatAmount(total),
+                    totalValue: total,
+                    lines: lines
+                });
+
+                currencyTotals[currency] = currencyTotals[currency] || { currency: currency, paymentCount: 0, totalValue: 0 };
+                currencyTotals[currency].paymentCount++;
+                currencyTotals[currency].totalValue += total;
+            });
+
+            remittance.currencyTotals = Object.keys(currencyTotals).map((currency) => ({
+                currency: currency,
+                paymentCount: currencyTotals[currency].paymentCount,
+                total: formatAmount(currencyTotals[currency].totalValue)
+            }));
+
+            return remittance;
+        };
+
+        const formatDate = (value) => {
+            return value instanceof Date ? format.format({ value: value, type: format.Type.DATE }) : String(value || '');
+        };
+
+        const formatAmount = (value) => {
+            return format.format({ value: value, type: format.Type.CURRENCY });
+        };
+
+        // YYYY-MM-DD, the date format of the bank remittance export whatever the user's date preference
+        const toIsoDate = (value) => {
+            if (!(value instanceof Date)) {
+                return '';
+            }
+            const pad = (number) => String(number).padStart(2, '0');
+            return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        };
+
+        // ISO 4217 code of a currency, its symbol field; the currency name is whatever the account calls it
+        const getCurrencyCode = (currencyId) => {
+            if (!currencyId) {
+                return '';
+            }
+            if (!(currencyId in currencyCodeCache)) {
+                const currencyFields = search.lookupFields({
+                    type: search.Type.CURRENCY,
+                    id: currencyId,
+                    columns: ['symbol']
+                });
+                currencyCodeCache[currencyId] = String(currencyFields.symbol || '').toUpperCase();
+            }
+            return currencyCodeCache[currencyId];
+        };
+
+        /**
+         * Creates the delivery log record for a send attempt, or updates it when the entry already has a logId.
+         * @returns {number} Internal ID of the delivery log
+         */
+        const saveDeliveryLog = (entry) => {
+            const logRecord = entry.logId
+                ? record.load({ type: DELIVERY_LOG_RECORD, id: entry.logId })
+                : record.create({ type: DELIVERY_LOG_RECORD });
+            const isInternalId = (value) => /^\d+$/.test(String(value || ''));
+
+            if (isInternalId(entry.vendorId)) {
+                logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.VENDOR, value: entry.vendorId });
+            }
+            if (isInternalId(entry.accountId)) {
+                logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.ACCOUNT, value: entry.accountId });
+            }
+            if (isInternalId(entry.emailTemplateId)) {
+                logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.TEMPLATE, value: entry.emailTemplateId });
+            }
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.PAYMENTS, value: (entry.transactionsId || []).filter(isInternalId) });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.RECIPIENTS, value: entry.recipients || '' });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.SUBJECT, value: entry.subject || '' });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.ATTACHMENTS, value: (entry.attachmentFileIds || []).join(',') });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.STATUS, value: entry.status });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.ERROR, value: entry.error || '' });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.RUN_ID, value: entry.runId || '' });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.TIMESTAMP, value: new Date() });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.IDEMPOTENCY_KEY, value: entry.idempotencyKey || '' });
+            logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.KIND, value: entry.kind || NOTICE_KIND.REMITTANCE });
+            if (isInternalId(entry.originalLogId)) {
+                logRecord.setValue({ fieldId: DELIVERY_LOG_FIELD.ORIGINAL, value: entry.originalLogId });
+            }
+
+            return logRecord.save();
+        };
+
+        /**
+         * Saves the delivery log of a send attempt and passes its ID on to summarize.
+         * Failures are only logged so they never mask the outcome of the send itself.
+         */
+        const writeDeliveryLog = (output, entry) => {
+            try {
+                const logId = saveDeliveryLog(entry);
+
+                output.write({
+                    key: 'DELIVERY_LOGS',
+                    value: JSON.stringify({ logId: logId, runId: entry.runId, status: entry.status })
+                });
+            } catch (e) {
+                log.error('writeDeliveryLog', redact({ entry: entry, error: e.message }));
+            }
+        };
+
+        // SHA-256 of vendor, account and the sorted payment IDs, identical for every invocation that sees the same group
+        const generateIdempotencyKey = (vendorId, accountId, transactionIds, salt) => {
+            const hash = crypto.createHash({ algorithm: crypto.HashAlg.SHA256 });
+            hash.update({
+                input: [vendorId, accountId].concat(transactionIds.slice().sort(), salt ? [salt] : []).join('|'),
+                inputEncoding: encode.Encoding.UTF_8
+            });
+            return hash.digest({ outputEncoding: encode.Encoding.HEX });
+        };
+
+        /**
+         * Looks for a delivery log that already reached email.send for this group.
+         * @returns {Object|null} { logId, status, runId } of the most recent Sent or Sending log
+         */
+        const findPriorDelivery = (idempotencyKey) => {
+            const results = search.create({
+                type: DELIVERY_LOG_RECORD,
+                filters: [
+                    [DELIVERY_LOG_FIELD.IDEMPOTENCY_KEY, 'is', idempotencyKey],
+                    'AND',
+                    [DELIVERY_LOG_FIELD.STATUS, 'anyof', [DELIVERY_STATUS.SENT, DELIVERY_STATUS.SENDING]]
+                ],
+                columns: [
+                    search.createColumn({ name: 'internalid', sort: search.Sort.DESC }),
+                    DELIVERY_LOG_FIELD.STATUS,
+                    DELIVERY_LOG_FIELD.RUN_ID
+                ]
+            }).run().getRange({ start: 0, end: 1 });
+
+            if (results.length === 0) {
+                return null;
+            }
+
+            return {
+                logId: results[0].id,
+                status: results[0].getValue(DELIVERY_LOG_FIELD.STATUS),
+                runId: results[0].getValue(DELIVERY_LOG_FIELD.RUN_ID)
+            };
+        };
+
+        /**
+         * Finishes a group that an earlier invocation already emailed: the payments that were not flagged yet are
+         * flagged, nothing is sent again. A Sending log means the invocation died around email.send, so whether the
+         * vendor received the email cannot be confirmed; it is closed as Sent with a note for AP to verify.
+         */
+        const completePriorDelivery = (output, priorDelivery, runId, transactionIds) => {
+            log.audit('Group already emailed', { priorDelivery: priorDelivery, transactionIds: transactionIds });
+
+            markPaymentsSent(transactionIds);
+
+            // A log from a previous run stays with that run, only this run's interrupted attempt is reported here
+            if (priorDelivery.runId === runId) {
+                const entry = {
+                    logId: priorDelivery.logId,
+                    runId: runId,
+                    status: DELIVERY_STATUS.SENT
+                };
+                if (priorDelivery.status === DELIVERY_STATUS.SENDING) {
+                    entry.error = 'Reduce was restarted during the send attempt. Delivery could not be confirmed and the email was not sent again.';
+                }
+
+                try {
+                    record.submitFields({
+                        type: DELIVERY_LOG_RECORD,
+                        id: entry.logId,
+                        values: {
+                            [DELIVERY_LOG_FIELD.STATUS]: entry.status,
+                            [DELIVERY_LOG_FIELD.ERROR]: entry.error || ''
+                        }
+                    });
+                    output.write({
+                        key: 'DELIVERY_LOGS',
+                        value: JSON.stringify({ logId: entry.logId, runId: runId, status: entry.status })
+                    });
+                } catch (e) {
+                    log.error('completePriorDelivery', redact({ entry: entry, error: e.message }));
+                }
+            }
+        };
+
+        // Internal IDs, as strings, of the given payments that are already flagged as emailed
+        const searchSentPayments = (transactionIds) => {
+            const sentIds = [];
+
+            search.create({
+                type: search.Type.TRANSACTION,
+                filters: [
+                    ['internalid', 'anyof', transactionIds],
+                    'AND',
+                    ['mainline', 'is', 'T'],
+                    'AND',
+                    sentFilter(true)
+                ]
+            }).run().each((result) => {
+                sentIds.push(String(result.id));
+                return true;
+            });
+
+            return sentIds;
+        };
+
+        /**
+         * Flags the payments as emailed, keeps the amount the vendor was told about and clears their retry state.
+         * Payments already flagged are left alone, which lets a restarted invocation resume a partially flagged group.
+         */
+        const markPaymentsSent = (transactionIds) => {
+            if (transactionIds.length === 0) {
+                return;
+            }
+
+            search.create({
+                type: search.Type.TRANSACTION,
+                filters: [
+                    ['internalid', 'anyof', transactionIds],
+                    'AND',
+                    ['mainline', 'is', 'T'],
+                    'AND',
+                    sentFilter(false)
+                ],
+                columns: ['fxamount']
+            }).run().each((result) => {
+                record.submitFields({
+                    type: result.recordType,
+                    id: result.id,
+                    values: {
+                        [getSentField(result.recordType)]: true,
+                        [VENDOR_PAYMENT_FIELD_EMAIL_STATUS]: DELIVERY_STATUS.SENT,
+                        [VENDOR_PAYMENT_FIELD_NOTIFIED_AMOUNT]: Math.abs(parseFloat(result.getValue('fxamount')) || 0),
+                        [VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS]: 0,
+                        [VENDOR_PAYMENT_FIELD_NEXT_RETRY]: '',
+                        [VENDOR_PAYMENT_FIELD_LAST_ERROR]: ''
+                    },
+                    options: {
+                        enableSourcing: false,
+                        ignoreMandatoryFields: true
+                    }
+                });
+                return true;
+            });
+        };
+
+        // Sets the ACH Email Status of the payments that do not have it yet
+        const setPaymentsStatus = (transactionIds, status) => {
+            search.create({
+                type: search.Type.TRANSACTION,
+                filters: [
+                    ['internalid', 'anyof', transactionIds],
+                    'AND',
+                    ['mainline', 'is', 'T'],
+                    'AND',
+                    [VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'noneof', status]
+                ]
+            }).run().each((result) => {
+                record.submitFields({
+                    type: result.recordType,
+                    id: result.id,
+                    values: {
+                        [VENDOR_PAYMENT_FIELD_EMAIL_STATUS]: status
+                    },
+                    options: {
+                        enableSourcing: false,
+                        ignoreMandatoryFields: true
+                    }
+                });
+                return true;
+            });
+        };
+
+        /**
+         * Marks a group as failed: updates the delivery log entry, schedules the payments for a retry
+         * (or gives up on them once the max attempts are reached) and emits the group under FAILED_RECORDS.
+         */
+        const recordGroupFailure = (output, deliveryLog, error, settings, dryRun) => {
+            deliveryLog.status = DELIVERY_STATUS.FAILED;
+            deliveryLog.error = error.message;
+
+            // A dry run reports the failure but must leave the payments untouched
+            const exhaustedPayments = dryRun ? [] : markPaymentsFailed(deliveryLog.transactionsId, error.message, settings);
+
+            output.write({
+                key: 'FAILED_RECORDS',
+                value: JSON.stringify({
+                    vendorId: deliveryLog.vendorId,
+                    accountId: deliveryLog.accountId,
+                    transactionsId: deliveryLog.transactionsId,
+                    error: error.message,
+                    exhaustedPayments: exhaustedPayments
+                })
+            });
+        };
+
+        /**
+         * Increments the failed attempt counter of each payment and sets its next retry with an exponential backoff.
+         * @returns {Array} Payments that reached the max attempts, as { recordId, tranid, attempts }
+         */
+        const markPaymentsFailed = (transactionIds, errorMessage, settings) => {
+            const maxAttempts = settings.maxAttempts;
+            const backoffHours = settings.retryBackoffHours;
+            const exhaustedPayments = [];
+
+            // Current attempt counters of the whole group in one search rather than a record load per payment
+            const paymentStates = {};
+            try {
+                search.create({
+                    type: search.Type.TRANSACTION,
+                    filters: [
+                        ['internalid', 'anyof', transactionIds],
+                        'AND',
+                        ['mainline', 'is', 'T']
+                    ],
+                    columns: ['tranid', VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS]
+                }).run().each((result) => {
+                    paymentStates[result.id] = {
+                        recordType: result.recordType,
+                        tranid: result.getValue('tranid'),
+                        attempts: parseInt(result.getValue(VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS), 10) || 0
+                    };
+                    return true;
+                });
+            } catch (e) {
+                log.error('Error reading failed attempts of transactions ' + transactionIds.join(', '), e);
+                return exhaustedPayments;
+            }
+
+            transactionIds.forEach((transactionId) => {
+                try {
+                    const paymentState = paymentStates[transactionId] || { recordType: record.Type.VENDOR_PAYMENT, tranid: '', attempts: 0 };
+                    const attempts = paymentState.attempts + 1;
+                    const exhausted = attempts >= maxAttempts;
+                    const nextRetry = new Date(Date.now() + backoffHours * Math.pow(2, attempts - 1) * 3600000);
+
+                    record.submitFields({
+                        type: paymentState.recordType,
+                        id: transactionId,
+                        values: {
+                            [VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS]: attempts,
+                            [VENDOR_PAYMENT_FIELD_EMAIL_STATUS]: exhausted ? DELIVERY_STATUS.EXHAUSTED : DELIVERY_STATUS.FAILED,
+                            [VENDOR_PAYMENT_FIELD_NEXT_RETRY]: exhausted ? '' : format.format({ value: nextRetry, type: format.Type.DATETIMETZ }),
+                            [VENDOR_PAYMENT_FIELD_LAST_ERROR]: String(errorMessage || '').substring(0, 4000)
+                        },
+                        options: {
+                            enableSourcing: false,
+                            ignoreMandatoryFields: true
+                        }
+                    });
+
+                    if (exhausted) {
+                        exhaustedPayments.push({
+                            recordId: transactionId,
+                            tranid: paymentState.tranid,
+                            attempts: attempts
+                        });
+                    }
+                } catch (e) {
+                    log.error('Error recording failed attempt for transaction ' + transactionId, e);
+                }
+            });
+
+            return exhaustedPayments;
+        };
+
+        /**
+         * email.send can only relate one transaction, so the remaining payments of the group get
+         * a copy of the message on their Communication subtab.
+         */
+        const attachEmailToPayments = (emailObj, transactionIds) => {
+            transactionIds.forEach((transactionId) => {
+                try {
+                    const message = record.create({ type: record.Type.MESSAGE });
+                    message.setValue({ fieldId: 'author', value: emailObj.author });
+                    message.setValue({ fieldId: 'recipient', value: emailObj.relatedRecords.entityId });
+                    message.setValue({ fieldId: 'subject', value: emailObj.subject });
+                    message.setValue({ fieldId: 'message', value: emailObj.body });
+                    message.setValue({ fieldId: 'transaction', value: transactionId });
+                    message.setValue({ fieldId: 'emailed', value: true });
+                    message.save();
+                } catch (e) {
+                    log.error('Error attaching email to payment ' + transactionId, e);
+                }
+            });
+        };
+
+        /**
+         * Works out who receives a group's remittance. The To addresses come from the first source in the Recipient
+         * Source Order parameter that yields any; CC and BCC from the vendor and the template mapping are always added.
+         * Addresses that bounced before are left out, so a source with nothing else falls through to the next one.
+         * @returns {Object} { to, cc, bcc, source, triedSources, bouncedCount } - to is the vendor ID itself when the
+         *     vendor email is used
+         */
+        const resolveRecipients = (vendorId, vendorEmail, vendorFields, templateMapping, settings) => {
+            const order = settings.recipientOrder;
+            let bouncedCount = 0;
+            const withoutBounced = (addresses) => addresses.filter((address) => {
+                const isBounced = vendorFields.bouncedAddresses.indexOf(String(address).toLowerCase()) !== -1;
+                bouncedCount += isBounced ? 1 : 0;
+                return !isBounced;
+            });
+
+            const resolved = {
+                to: [],
+                cc: withoutBounced(dedupeAddresses(vendorFields.remittanceCc.concat(templateMapping.cc))),
+                bcc: withoutBounced(dedupeAddresses(vendorFields.remittanceBcc.concat(templateMapping.bcc))),
+                source: null,
+                triedSources: []
+            };
+
+            for (let i = 0; i < order.length && resolved.to.length === 0; i++) {
+                const source = order[i];
+                resolved.triedSources.push(source);
+
+                if (source === RECIPIENT_SOURCE.MAPPING) {
+                    resolved.to = templateMapping.recipientOverride;
+                } else if (source === RECIPIENT_SOURCE.VENDOR_REMITTANCE) {
+                    resolved.to = vendorFields.remittanceEmail;
+                } else if (source === RECIPIENT_SOURCE.CONTACTS) {
+                    resolved.to = searchRemittanceContacts(vendorId, settings.contactRoleId);
+                } else if (source === RECIPIENT_SOURCE.VENDOR_EMAIL && vendorEmail && withoutBounced([vendorEmail]).length > 0) {
+                    // Sending to the entity keeps NetSuite's own handling of the vendor's email address
+                    resolved.to = [vendorId];
+                }
+                if (source !== RECIPIENT_SOURCE.VENDOR_EMAIL) {
+                    resolved.to = withoutBounced(resolved.to);
+                }
+
+                if (resolved.to.length > 0) {
+                    resolved.source = source;
+                }
+            }
+
+            resolved.to = dedupeAddresses(resolved.to).slice(0, MAX_ADDRESSES_PER_FIELD);
+            resolved.cc = resolved.cc.slice(0, MAX_ADDRESSES_PER_FIELD);
+            resolved.bcc = resolved.bcc.slice(0, MAX_ADDRESSES_PER_FIELD);
+            resolved.bouncedCount = bouncedCount;
+
+            return resolved;
+        };
+
+        const getNoRecipientNote = (recipients) => {
+            return `No recipient found (tried: ${recipients.triedSources.join(', ')})`
+                + (recipients.bouncedCount > 0 ? `, ${recipients.bouncedCount} bounced address(es) left out` : '');
+        };
+
+        /**
+         * With a Reply Capture Address, replies go to the email capture plugin and the subject and body carry the
+         * tracking token it matches them by. The token needs the log ID, so it is added once the Sending log is saved.
+         */
+        const addTrackingToken = (emailObj, entry, settings) => {
+            if (!settings.captureAddress) {
+                return;
+            }
+            const token = `${TRACKING_TOKEN_PREFIX} ${entry.logId}-${entry.idempotencyKey.substring(0, 10)}`;
+
+            emailObj.replyTo = settings.captureAddress;
+            emailObj.subject = `${emailObj.subject} [${token}]`;
+            emailObj.body = appendInlineRemittance(emailObj.body, `<p style="color:#999999;font-size:9px;">${token}</p>`);
+            entry.subject = emailObj.subject;
+        };
+
+        // Email addresses of the vendor's active contacts that hold the remittance contact role
+        const searchRemittanceContacts = (vendorId, contactRoleId) => {
+            if (!contactRoleId) {
+                return [];
+            }
+
+            const addresses = [];
+            search.create({
+                type: search.Type.CONTACT,
+                filters: [
+                    ['company', 'anyof', vendorId],
+                    'AND',
+                    ['contactrole', 'anyof', contactRoleId],
+                    'AND',
+                    ['isinactive', 'is', 'F'],
+                    'AND',
+                    ['email', 'isnotempty', '']
+                ],
+                columns: ['email']
+            }).run().each((result) => {
+                addresses.push(result.getValue('email'));
+                return true;
+            });
+
+            return addresses;
+        };
+
+        /**
+         * Reports a group that is not emailed this run, because nobody could be found to email or the units ran out:
+         * a Skipped delivery log plus one skipped record per payment, both carrying the reason. The payments stay pending.
+         * @param {Object} [details] - Extra properties for the skipped records, e.g. the recipient sources tried
+         */
+        const skipGroup = (output, deliveryLog, orders, errorNote, dryRun, details) => {
+            log.audit('Group skipped', redact({ vendorId: deliveryLog.vendorId, accountId: deliveryLog.accountId, errorNote: errorNote }));
+
+            if (!dryRun) {
+                deliveryLog.status = DELIVERY_STATUS.SKIPPED;
+                deliveryLog.error = errorNote;
+                writeDeliveryLog(output, deliveryLog);
+            }
+
+            output.write({
+                key: 'SKIPPED_RECORDS',
+                value: JSON.stringify(orders.map((orderObj) => Object.assign({
+                    recordId: orderObj.orderId,
+                    tranid: orderObj.orderNumber,
+                    entity: orderObj.entity,
+                    accountId: deliveryLog.accountId,
+                    entityId: deliveryLog.vendorId,
+                    errorNote: errorNote,
+                    runId: deliveryLog.runId
+                }, details || {})))
+            });
+        };
+
+        const splitAddresses = (value) => {
+            return String(value || '').split(/[,;\s]+/).map((address) => address.trim()).filter(Boolean);
+        };
+
+        const dedupeAddresses = (addresses) => {
+            const seen = {};
+            return addresses.filter((address) => {
+                const normalized = String(address).toLowerCase();
+                if (seen[normalized]) {
+                    return false;
+                }
+                seen[normalized] = true;
+                return true;
+            });
+        };
+
+        /**
+         * Token the Send Remittance button posts with the payment, an HMAC under the API secret SEND_TOKEN_SECRET_ID
+         * for the payment and the current user, so a request forged by another page, which cannot read it, is refused.
+         */
+        const createSendToken = (paymentId) => {
+            return downloadLink.sign(`${paymentId}.${runtime.getCurrentUser().id}`, SEND_TOKEN_SECRET_ID);
+        };
+
+        const isValidSendToken = (paymentId, token) => {
+            return downloadLink.isValidSignature(`${paymentId}.${runtime.getCurrentUser().id}`, token, SEND_TOKEN_SECRET_ID);
+        };
+
+        // e.g. ACH20261019T220000, or ACH20261019T220000_UI for a send outside the Map/Reduce
+        const generateRunId = (source) => {
+            return 'ACH' + new Date().toISOString().replace(/[-:]/g, '').split('.')[0] + (source ? '_' + source : '');
+        };
+
+        /**
+         * Saves the merged email and vouchers of a group to the preview folder instead of sending them.
+         * @returns {Object} Manifest entry for the group
+         */
+        const savePreview = (options) => {
+            const previewFolderId = options.previewFolderId;
+            const filePrefix = `${options.runId}_${options.groupKey}`;
+            const emailObj = options.emailObj;
+
+            // Vouchers are moved from the working folder into the preview folder
+            const attachments = emailObj.attachments;
+            const voucherFileIds = attachments.map((pdfFile) => {
+                pdfFile.name = `${filePrefix}_${pdfFile.name}`;
+                pdfFile.folder = previewFolderId;
+                return pdfFile.save();
+            });
+            if (options.settings) {
+                useDownloadLinks(emailObj, attachments, voucherFileIds, options.settings);
+            }
+
+            // Merged email, saved as HTML so it can be opened straight from the File Cabinet
+            const emailFileId = file.create({
+                name: `${filePrefix}_email.html`,
+                fileType: file.Type.HTMLDOC,
+                contents: `<p><b>To:</b> ${escapeHtml(emailObj.recipients.join(', '))}</p>`
+                    + `<p><b>CC:</b> ${escapeHtml(emailObj.cc.join(', '))}</p>`
+                    + `<p><b>BCC:</b> ${escapeHtml(emailObj.bcc.join(', '))}</p>`
+                    + `<p><b>Subject:</b> ${escapeHtml(emailObj.subject)}</p>`
+                    + `<p><b>Email Template:</b> ${escapeHtml(options.emailTemplateId)}</p><hr/>`
+                    + emailObj.body,
+                folder: previewFolderId
+            }).save();
+
+            log.audit('Preview saved', `Group ${options.groupKey}: email file ${emailFileId}, ${voucherFileIds.length} voucher(s)`);
+
+            return {
+                groupKey: options.groupKey,
+                vendorId: options.vendorId,
+                vendorName: options.vendorName || '',
+                accountId: options.accountId,
+                recipient: emailObj.recipients.concat(emailObj.cc, emailObj.bcc).join(' '),
+                emailTemplateId: options.emailTemplateId,
+                transactionsId: options.transactionsId,
+                subject: emailObj.subject,
+                emailFileId: emailFileId,
+                voucherFileIds: voucherFileIds,
+                runId: options.runId
+            };
+        };
+
+        /**
+         * With Secure Download Links, swaps the attachments of an email for signed, expiring links to the files
+         * already saved to the archive (or preview) folder, listed at the end of the body. The download Suitelet only
+         * serves archived files, the links of a preview show what the email looks like but do not open.
+         * @param {Array} files - The attachments, for their names
+         * @param {Array} fileIds - Internal IDs the files were saved under, in the same order
+         */
+        const useDownloadLinks = (emailObj, files, fileIds, settings) => {
+            if (!settings.secureLinks || fileIds.length === 0) {
+                return;
+            }
+            const expiresAt = new Date(Date.now() + settings.linkExpiryHours * 60 * 60 * 1000);
+            const linksHtml = '<h3>Remittance Documents</h3>'
+                + `<p>Download your remittance documents before ${escapeHtml(format.format({ value: expiresAt, type: format.Type.DATETIME }))}:</p><ul>`
+                + fileIds.map((fileId, index) => `<li><a href="${escapeHtml(downloadLink.createDownloadUrl(fileId, expiresAt))}">`
+                    + `${escapeHtml(files[index].name)}</a></li>`).join('')
+                + '</ul>';
+
+            emailObj.body = appendInlineRemittance(emailObj.body, linksHtml);
+            emailObj.attachments = [];
+        };
+
+        // Masks the Masked Bank Fields of a payment loaded for rendering; fields it does not have or that cannot hold
+        // the masked text are left to the template
+        const maskBankFields = (paymentRecord, fieldIds) => {
+            fieldIds.forEach((fieldId) => {
+                const value = paymentRecord.getValue({ fieldId: fieldId });
+                if (value === null || value === undefined || value === '') {
+                    return;
+                }
+                try {
+                    paymentRecord.setValue({ fieldId: fieldId, value: maskAccountNumber(value) });
+                } catch (e) {
+                    log.error('Bank field not masked', { fieldId: fieldId, error: e.message });
+                }
+            });
+        };
+
+        // All but the last letters and digits replaced, e.g. 123456789 becomes *****6789
+        const maskAccountNumber = (value) => {
+            const text = String(value);
+            let visible = MASK_VISIBLE_CHARS;
+            let masked = '';
+            for (let i = text.length - 1; i >= 0; i--) {
+                const isAlphanumeric = /[A-Za-z0-9]/.test(text[i]);
+                masked = (isAlphanumeric && visible <= 0 ? '*' : text[i]) + masked;
+                if (isAlphanumeric) {
+                    visible--;
+                }
+            }
+            return masked;
+        };
+
+        // What a log may say about an email: masked addresses and the size of the body, never the body itself
+        const describeEmail = (emailObj) => {
+            return {
+                recipients: redact(emailObj.recipients),
+                cc: redact(emailObj.cc),
+                bcc: redact(emailObj.bcc),
+                subject: emailObj.subject,
+                bodyLength: String(emailObj.body || '').length,
+                attachments: (emailObj.attachments || []).map((attachment) => attachment.name),
+                relatedRecords: emailObj.relatedRecords
+            };
+        };
+
+        /**
+         * Masks the email addresses in a value for script logs: the first character of the mailbox and the domain
+         * stay, so a log still shows which address was used.
+         * @returns {string}
+         */
+        const redact = (value) => {
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return String(text).replace(/([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g, '$1***@$2');
+        };
+
+        const escapeHtml = (value) => {
+            return String(value === null || value === undefined ? '' : value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        };
+
+        const toCsvRow = (cells) => {
+            return cells.map((cell) => {
+                const text = cell === null || cell === undefined ? '' : String(cell);
+                return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            }).join(',');
+        };
+
+        return {
+            SCRIPT_PARAM,
+            VENDOR_PAYMENT_FIELD_EMAIL_SENT,
+            VENDOR_PAYMENT_FIELD_EXCLUDE,
+            VENDOR_PAYMENT_FIELD_EMAIL_STATUS,
+            VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS,
+            VENDOR_PAYMENT_FIELD_NEXT_RETRY,
+            VENDOR_PAYMENT_FIELD_LAST_ERROR,
+            PAYMENT_TYPE,
+            RUN_LOCK_RECORD,
+            RUN_LOCK_FIELD,
+            DELIVERY_LOG_RECORD,
+            DELIVERY_LOG_FIELD,
+            DELIVERY_STATUS,
+            NOTICE_KIND,
+            PREVIEWED,
+            getSettings,
+            getMapReduceSettings,
+            loadPaymentsSearch,
+            searchRunLocks,
+            sentFilter,
+            getMissingFields,
+            buildOrder,
+            getCorrection,
+            sendGroup,
+            sendCorrection,
+            sendPaymentRemittance,
+            createSendToken,
+            isValidSendToken,
+            recordBankExportSent,
+            writeDeliveryLog,
+            generateRunId,
+            redact,
+            escapeHtml,
+            toCsvRow
+        }
+
+    });
@@ -2,13 +2,34 @@
  * @NApiVersion 2.1
  * @NScriptType MapReduceScript
  */
-define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
+define(['N/search', 'N/runtime', 'N/email', 'N/file', 'N/record', 'N/cache', './tsc_lib_ohs27_ach_remittance', './tsc_lib_ohs27_ach_bank_export'],
 
-    (search, runtime, render, email, file, record) => {
-        const SCRIPT_PARAM_ELIGIBLE_ACH_PAYMENTS_SEARCH = 'custscript_tsc_ohs27_eligible_ach_paymen';
-        const SCRIPT_PARAM_EMAIL_AUTHOR = 'custscript_tsc_ohs27_email_author';
-        const SCRIPT_PARAM_PRINT_TEMPLATE_ID = "custscript_tsc_ohs27_print_template_id";
-        const VENDOR_PAYMENT_FIELD_EMAIL_SENT = "custbody_tsc_ach_auto_email_sent";
+    (search, runtime, email, file, record, cache, achRemittance, bankExport) => {
+        // Remittance settings (search, author, templates, retries, recipients, lock timeout) are read by achRemittance.getSettings
+        // Set per task by the remittance dashboard Suitelet to scope a run to specific payments
+        const SCRIPT_PARAM_PAYMENT_IDS = 'custscript_tsc_ohs27_payment_ids';
+        const SCRIPT_PARAM_RESEND = 'custscript_tsc_ohs27_resend';
+        // Run report
+        const SCRIPT_PARAM_REPORT_EMPLOYEES = 'custscript_tsc_ohs27_report_employees';
+        const SCRIPT_PARAM_REPORT_GROUPS = 'custscript_tsc_ohs27_report_groups';
+        const SCRIPT_PARAM_REPORT_CLEAN_RUNS = 'custscript_tsc_ohs27_report_clean_runs';
+        const SCRIPT_PARAM_REPORT_FOLDER = 'custscript_tsc_ohs27_report_folder';
+        const DELIVERY_LOG_RECORD = achRemittance.DELIVERY_LOG_RECORD;
+        const DELIVERY_LOG_FIELD = achRemittance.DELIVERY_LOG_FIELD;
+        const DELIVERY_STATUS = achRemittance.DELIVERY_STATUS;
+        const RUN_LOCK_RECORD = achRemittance.RUN_LOCK_RECORD;
+        const RUN_LOCK_FIELD = achRemittance.RUN_LOCK_FIELD;
+        // Run ID of each deployment's current run, put by getInputData so map and reduce tag their files and logs with it
+        const RUN_ID_CACHE = 'TSC_OHS27_RUN_ID';
+        // Map key of a payment that gets a correction or cancellation notice, followed by its internal ID
+        const CORRECTION_KEY_PREFIX = 'CORRECTION_';
+        // Units a skipped payment's delivery log takes, with room left to pass the records on to summarize
+        const SKIPPED_LOG_USAGE = 10;
+        const SKIPPED_LOG_RESERVE = 50;
+        const REPORT_CSV_HEADER = ['Section', 'Vendor', 'Account', 'Payment Count', 'Total Amount', 'Recipient', 'Note', 'Payment IDs', 'Reference'];
+        // email.send accepts at most 10 addresses in each of recipients, cc and bcc
+        const MAX_ADDRESSES_PER_FIELD = 10;
+        const PREVIEW_MANIFEST_HEADER = ['Group Key', 'Vendor ID', 'Account ID', 'Recipient', 'Email Template ID', 'Payment IDs', 'Subject', 'Email Preview File ID', 'Voucher File IDs'];
         /**
          * Defines the function that is executed at the beginning of the map/reduce process and generates the input data.
          * @param {Object} inputContext
@@ -25,15 +46,32 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
         const getInputData = (inputContext) => {
             try {
                 // Get all required parameters
-                const searchId = runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_ELIGIBLE_ACH_PAYMENTS_SEARCH });
-                const printTemplateId = runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_PRINT_TEMPLATE_ID });
-                const authorId = runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_EMAIL_AUTHOR });
+                const settings = getSettings();
+                const searchId = settings.searchId;
+                const printTemplateId = settings.printTemplateId;
+                const authorId = settings.authorId;
+                const dryRun = settings.dryRun;
+                const previewFolderId = settings.previewFolderId;
+                const paymentIds = getPaymentIdsParameter();
+                const resend = isResend();
+                let runId = achRemittance.generateRunId();
 
                 // Log parameters for debugging
                 log.audit('Script Parameters', {
                     searchId: searchId,
                     printTemplateId: printTemplateId,
-                    authorId: authorId
+                    authorId: authorId,
+                    dryRun: dryRun,
+                    previewFolderId: previewFolderId,
+                    archiveFolderId: settings.archiveFolderId,
+                    archiveByVendor: settings.archiveByVendor,
+                    maxGroupSize: settings.maxGroupSize,
+                    settlementDays: settings.settlementDays,
+                    sendWindow: settings.sendWindowStart === null ? '' : `${settings.sendWindowStart}-${settings.sendWindowEnd}`,
+                    maxEmailsPerRun: settings.maxEmailsPerRun,
+                    paymentIds: paymentIds,
+                    resend: resend,
+                    runId: runId
                 });
 
                 // Validate each parameter individually
@@ -42,30 +80,54 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
                 if (!searchId) missingParams.push('Eligible ACH Payments Search');
                 if (!printTemplateId) missingParams.push('Print Template ID');
                 if (!authorId) missingParams.push('Email Author');
+                if (dryRun && !previewFolderId) missingParams.push('Preview Folder (required for dry run)');
+                if (!dryRun && !settings.archiveFolderId) missingParams.push('Voucher Archive Folder');
+                if (resend && paymentIds.length === 0) missingParams.push('Payment IDs (required for resend)');
 
                 if (missingParams.length > 0) {
                     throw new Error(`Required script parameter(s) not configured: ${missingParams.join(', ')}`);
                 }
 
                 // Validate search exists and count records
+                let searchObj;
                 try {
-                    const searchObj = search.load({ id: searchId });
+                    // A dashboard preview shows what a resend of the payments would send, sent ones included
+                    const ignoreCriteria = resend || isScopedPreview();
+                    searchObj = achRemittance.loadPaymentsSearch(searchId, {
+                        paymentIds: paymentIds,
+                        ignoreCriteria: ignoreCriteria,
+                        includeCorrections: settings.corrections && !ignoreCriteria
+                    });
 
                     const resultCount = searchObj.runPaged().count;
 
                     log.audit('Input Data Records', `Found ${resultCount} eligible payment records to process`);
-
-                    // Return the search object for processing
-                    return searchObj;
                 } catch (loadError) {
                     throw new Error(`Invalid search ID (${searchId}): ${loadError.message}`);
                 }
+
+                if (dryRun) {
+                    log.audit('Dry Run', `Run ${runId}: no emails will be sent, previews will be saved to folder ${previewFolderId}`);
+                } else {
+                    // Taken last so a configuration error never leaves a lock behind
+                    runId = acquireRunLock(runId, inputContext.isRestarted);
+                }
+
+                cache.getCache({ name: RUN_ID_CACHE, scope: cache.Scope.PRIVATE }).put({
+                    key: runtime.getCurrentScript().deploymentId,
+                    value: runId,
+                    ttl: settings.lockTimeoutHours * 3600
+                });
+
+                // Return the search object for processing
+                return searchObj;
             } catch (e) {
                 log.error('Error in getInputData', e);
                 throw e; // Re-throw to halt script execution when parameters aren't properly configured
             }
         }
 
+
         /**
          * Defines the function that is executed when the map entry point is triggered. This entry point is triggered automatically
          * when the associated getInputData stage is complete. This function is applied to each key-value pair in the provided
@@ -84,22 +146,15 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
          */
         const map = (mapContext) => {
             try {
-                // Log incoming data for debugging
-                log.debug('Map Input', { key: mapContext.key, value: mapContext.value });
+                // Log incoming data for debugging, without the vendor's email address
+                log.debug('Map Input', achRemittance.redact({ key: mapContext.key, value: mapContext.value }));
 
                 // Parse the value once
                 const searchResult = JSON.parse(mapContext.value);
                 const values = searchResult.values;
 
                 // Validate all required fields
-                const missingFields = [];
-
-                // Check for required fields
-                if (!values.account || !values.account.value) missingFields.push('account');
-                if (!values.entity || !values.entity.value) missingFields.push('entity');
-                if (!values.trandate) missingFields.push('transaction date');
-                if (!values.tranid) missingFields.push('transaction ID');
-                if (!values['email.vendor']) missingFields.push('vendor email');
+                const missingFields = achRemittance.getMissingFields(values);
 
                 // If any required fields are missing, write to a special "skipped" key
                 if (missingFields.length > 0) {
@@ -118,29 +173,29 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
                             accountId: values.account ? values.account.value || 'N/A' : 'N/A',
                             entityId: values.entity ? values.entity.value || 'N/A' : 'N/A',
                             errorNote: `Missing required fields: ${missingFields.join(', ')}`,
-                            missingFields: missingFields
+                            missingFields: missingFields,
+                            runId: getRunId()
                         })
                     });
                     return; // Exit early
                 }
 
-                // Regular processing continues as before...
-                const accountId = values.account.value + "_" + values.entity.value;
-
                 // Build normalized order object with all needed fields
-                const orderObj = {
-                    orderId: mapContext.key,
-                    accountId: accountId,
-                    orderDate: values.trandate,
-                    postingPeriod: values.postingperiod ? values.postingperiod.text : '',
-                    orderNumber: values.tranid,
-                    entity: values.entity.text,
-                    vendorEmail: values["email.vendor"] || '',
-                };
+                const orderObj = achRemittance.buildOrder(mapContext.key, values, getRunId());
+
+                // A notified payment voided or changed since gets its own notice, never grouped with remittances
+                const correction = achRemittance.getCorrection(values);
+                if (correction) {
+                    mapContext.write({
+                        key: `${CORRECTION_KEY_PREFIX}${mapContext.key}`,
+                        value: JSON.stringify(Object.assign(orderObj, { correction: correction }))
+                    });
+                    return;
+                }
 
-                // Pass to reduce stage grouped by account ID
+                // Pass to reduce stage grouped by account and payee
                 mapContext.write({
-                    key: accountId,
+                    key: orderObj.accountId,
                     value: JSON.stringify(orderObj)
                 });
 
@@ -166,6 +221,7 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
             }
         }
 
+
         /**
          * Defines the function that is executed when the reduce entry point is triggered. This entry point is triggered
          * automatically when the associated map stage is complete. This function is applied to each group in the provided context.
@@ -194,6 +250,29 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
                         records.push(JSON.parse(value));
                     });
 
+                    // Payments that never reach a send attempt are still logged so vendors' history is complete
+                    if (key === 'SKIPPED_RECORDS' && !isDryRun()) {
+                        let unloggedCount = 0;
+                        records.forEach((skippedRecord) => {
+                            // The run report still lists every skipped payment when the units run out for their logs
+                            if (runtime.getCurrentScript().getRemainingUsage() < SKIPPED_LOG_USAGE + SKIPPED_LOG_RESERVE) {
+                                unloggedCount++;
+                                return;
+                            }
+                            achRemittance.writeDeliveryLog(reduceContext, {
+                                runId: skippedRecord.runId,
+                                vendorId: skippedRecord.entityId,
+                                accountId: skippedRecord.accountId,
+                                transactionsId: [skippedRecord.recordId],
+                                status: DELIVERY_STATUS.SKIPPED,
+                                error: skippedRecord.errorNote
+                            });
+                        });
+                        if (unloggedCount > 0) {
+                            log.audit('Skipped payments not logged', `${unloggedCount} of ${records.length} skipped payments have no delivery log, governance units ran out`);
+                        }
+                    }
+
                     // Write back out with the same key for the summarize stage
                     reduceContext.write({
                         key: key,
@@ -203,68 +282,56 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
                     // Exit early - no further processing needed for these records
                     return;
                 }
-                log.debug(reduceContext.key, reduceContext.values);
-                let vendorId = reduceContext.key.split('_')[1];
-                let accountId = reduceContext.key.split('_')[0];
-                let emailTemplateId = searchRelatedEmailTemplate(accountId);
-                log.debug('Email Template ID', emailTemplateId);
-                let authorId = runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_EMAIL_AUTHOR });
-                log.debug('Email Author ID', authorId);
-
-                let transactionsId = [];
+                log.debug(reduceContext.key, achRemittance.redact(reduceContext.values));
 
+                let orders = [];
                 reduceContext.values.forEach((value) => {
-                    let orderObj = JSON.parse(value);
-                    transactionsId.push(orderObj.orderId);
-                });
-                log.debug('Transactions ID', transactionsId);
-
-                // Generate individual payment vouchers
-                let pdfFiles = generateIndividualPaymentVoucher(transactionsId);
-                log.debug('Generated PDF Files', pdfFiles);
-
-                //Merge Email
-                var mergeResult = render.mergeEmail({
-                    templateId: emailTemplateId,
-                    entity: {
-                        type: 'employee',
-                        id: parseInt(authorId)
-                    },
-                    recipient: {
-                        type: 'vendor',
-                        id: parseInt(vendorId)
-                    }
+                    orders.push(JSON.parse(value));
                 });
 
-                //Construct emailObj
+                if (reduceContext.isRestarted) {
+                    log.audit('Reduce restarted', `Group ${key}, execution ${reduceContext.executionNo}`);
+                }
+
+                // Resends and dashboard previews of selected payments show what goes out straight away
+                const sendNow = isResend() || isScopedPreview();
 
-                let emailObj = {
-                    author: authorId,
-                    recipients: vendorId,
-                    subject: mergeResult.subject,
-                    body: mergeResult.body,
-                    attachments: pdfFiles,
+                if (key.indexOf(CORRECTION_KEY_PREFIX) === 0) {
+                    const correctionOutcome = achRemittance.sendCorrection(orders[0], {
+                        settings: getSettings(),
+                        runId: orders[0].runId,
+                        dryRun: isDryRun(),
+                        applySendWindow: !sendNow,
+                        applyRunLimit: !sendNow,
+                        output: reduceContext
+                    });
+                    log.debug('Correction outcome', achRemittance.redact({ key: key, outcome: correctionOutcome }));
+                    return;
                 }
 
-                log.debug('Email Object', emailObj);
+                // A large group goes out in chunks of at most Max Payments per Group payments, each sent and logged on
+                // its own; sendGroup defers the chunks the units left in this call do not cover to the next run
+                const maxGroupSize = getSettings().maxGroupSize;
+                orders.sort((a, b) => Number(a.orderId) - Number(b.orderId));
+                for (let start = 0; start < orders.length; start += maxGroupSize) {
+                    const chunk = start / maxGroupSize;
+                    const chunkKey = chunk > 0 ? `${key}_${chunk + 1}` : key;
 
-                try {
-                    email.send(emailObj);
-                    //Update transactionids' status to 'Email Sent' true
-                    transactionsId.forEach((transactionId) => {
-                        let vendorPaymentRecord = record.load({
-                            type: record.Type.VENDOR_PAYMENT,
-                            id: transactionId,
-                            isDynamic: true
-                        });
-                        vendorPaymentRecord.setValue({
-                            fieldId: VENDOR_PAYMENT_FIELD_EMAIL_SENT,
-                            value: true
-                        });
-                        vendorPaymentRecord.save();
+                    // Same processing as the Send Remittance button and the approval User Event
+                    const outcome = achRemittance.sendGroup({ key: chunkKey, orders: orders.slice(start, start + maxGroupSize) }, {
+                        settings: getSettings(),
+                        runId: orders[0].runId,
+                        dryRun: isDryRun(),
+                        resend: isResend(),
+                        // A resend or preview leaves the vendor's digest period alone
+                        applyDigest: !sendNow,
+                        // Nightly payments wait for their settlement date, the payee's send window and room in the run
+                        applySendWindow: !sendNow,
+                        applyRunLimit: !sendNow,
+                        bankExport: true,
+                        output: reduceContext
                     });
-                } catch (sendEmailError) {
-                    log.error('sendEmail', sendEmailError);
+                    log.debug('Group outcome', achRemittance.redact({ key: chunkKey, outcome: outcome }));
                 }
 
             } catch (e) {
@@ -296,103 +363,259 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
             try {
                 let skippedRecords = [];
                 let errorRecords = [];
-                let processedRecordsCount = 0;
+                let previewRecords = [];
+                let failedGroups = [];
+                let heldRecords = [];
+                let deferredRecords = [];
+                let bankExportGroups = [];
+                let runId = '';
+                const dryRun = isDryRun();
+
+                // Released first so a failure further down cannot keep the next run from starting
+                if (!dryRun) {
+                    try {
+                        runId = releaseRunLock();
+                    } catch (lockError) {
+                        log.error('Error releasing run lock', lockError);
+                    }
+                }
                 
                 // Process output from reduce stage
                 summaryContext.output.iterator().each(function(key, value) {
                     if (key === 'SKIPPED_RECORDS') {
-                        skippedRecords = JSON.parse(value);
-                        log.audit('Skipped Records', `Found ${skippedRecords.length} skipped records`);
+                        // Written once by the map pass-through and once per group reduce skips for lack of a recipient
+                        const records = JSON.parse(value);
+                        skippedRecords = skippedRecords.concat(records);
+                        log.audit('Skipped Records', `Found ${records.length} skipped records`);
                     } else if (key === 'ERROR_RECORDS') {
-                        errorRecords = JSON.parse(value);
+                        errorRecords = errorRecords.concat(JSON.parse(value));
                         log.audit('Error Records', `Found ${errorRecords.length} error records`);
-                    } else {
-                        // Count normal processed records
-                        processedRecordsCount++;
+                    } else if (key === 'HELD_RECORDS') {
+                        // One value per group held for the vendor's digest
+                        heldRecords = heldRecords.concat(JSON.parse(value));
+                    } else if (key === 'DEFERRED_RECORDS') {
+                        // One value per group or settlement date left pending by the send window or run limit
+                        deferredRecords = deferredRecords.concat(JSON.parse(value));
+                    } else if (key === 'PREVIEW_RECORDS') {
+                        // One value per previewed group
+                        previewRecords.push(JSON.parse(value));
+                    } else if (key === 'BANK_EXPORT_RECORDS') {
+                        // One value per group of a bank remittance payee, whose delivery log is only written below
+                        const bankExportGroup = JSON.parse(value);
+                        bankExportGroups.push(bankExportGroup);
+                        runId = runId || bankExportGroup.runId;
+                    } else if (key === 'FAILED_RECORDS') {
+                        // One value per failed vendor-account group
+                        failedGroups.push(JSON.parse(value));
+                    } else if (key === 'DELIVERY_LOGS') {
+                        // The logs themselves are read back below, only the run they belong to is needed here
+                        runId = runId || JSON.parse(value).runId;
                     }
                     return true; // Continue iteration
                 });
-                
+
+                // Saved first and only then flagged as sent, so a payment is never flagged for an export that was not
+                // written; the Sent delivery logs it gets are read back with the others below
+                let bankExportResult = null;
+                if (bankExportGroups.length > 0) {
+                    try {
+                        bankExportResult = saveBankExport(bankExportGroups, runId, dryRun);
+                        if (!dryRun) {
+                            bankExportResult.unflaggedGroups = flagBankExportSent(bankExportGroups, bankExportResult.fileIds);
+                        }
+                    } catch (exportError) {
+                        log.error('Error saving bank remittance export', exportError);
+                        bankExportResult = { fileIds: [], paymentCount: 0, excludedCount: 0, warningCount: 0, error: exportError.message };
+                    }
+                }
+
+                // Delivery logs are the source of truth for what was sent or failed in this run
+                const deliveryLogs = searchDeliveryLogs(runId);
+                // Bounces captured since the last report, whichever run sent them
+                const bouncedLogs = searchBouncedDeliveries();
+                const exhaustedPayments = failedGroups.reduce((payments, group) => payments.concat(
+                    group.exhaustedPayments.map((payment) => Object.assign({ vendorId: group.vendorId, error: group.error }, payment))
+                ), []);
+                const report = buildReport({
+                    deliveryLogs: deliveryLogs,
+                    skippedRecords: skippedRecords,
+                    errorRecords: errorRecords,
+                    previewRecords: previewRecords,
+                    heldRecords: heldRecords,
+                    deferredRecords: deferredRecords,
+                    bouncedLogs: bouncedLogs,
+                    dryRun: dryRun
+                });
+                const sentPaymentCount = report.sent.reduce((count, row) => count + row.paymentCount, 0);
+
                 // Create summary report with detailed information
                 const summaryReport = {
                     totalRecordsProcessed: summaryContext.inputSummary.totalRecords,
-                    successfullyProcessed: processedRecordsCount,
+                    runId: runId,
+                    successfullyProcessed: sentPaymentCount,
+                    sentGroups: report.sent.length,
+                    failedDeliveries: {
+                        count: deliveryLogs.failed.length,
+                        details: deliveryLogs.failed
+                    },
+                    skippedDeliveries: deliveryLogs.skipped.length,
+                    failedGroups: failedGroups.length,
+                    retriesExhausted: {
+                        count: exhaustedPayments.length,
+                        details: exhaustedPayments
+                    },
+                    previewedGroups: previewRecords.length,
+                    heldForDigest: heldRecords.length,
+                    deferredPayments: deferredRecords.length,
+                    bouncedDeliveries: bouncedLogs.length,
+                    bankExportGroups: bankExportGroups.length,
                     skippedRecords: {
                         count: skippedRecords.length,
-                        details: skippedRecords.map(record => ({
-                            recordId: record.recordId,
-                            tranid: record.tranid,
-                            entity: record.entity,
-                            accountId: record.accountId,
-                            entityId: record.entityId,
-                            errorNote: record.errorNote
-                        }))
+                        groups: report.skipped.length
                     },
                     errorRecords: {
                         count: errorRecords.length,
-                        details: errorRecords.map(record => ({
-                            recordId: record.recordId,
-                            tranid: record.tranid,
-                            entity: record.entity,
-                            accountId: record.accountId,
-                            entityId: record.entityId,
-                            errorNote: record.errorNote
-                        }))
+                        groups: report.failed.length
                     }
                 };
-                
-                log.audit('Processing Summary', summaryReport);
-                
-                // If there are skipped or error records, send notification
-                if (skippedRecords.length > 0 || errorRecords.length > 0) {
-                    let recipient = 'admin@yourcompany.com'; // Replace with actual email
-                    let subject = `ACH Payment Processing Report: ${skippedRecords.length} Skipped, ${errorRecords.length} Errors`;
-                    
+
+                log.audit('Processing Summary', achRemittance.redact(summaryReport));
+
+                let manifestFileId = null;
+                if (dryRun) {
+                    manifestFileId = savePreviewManifest(previewRecords);
+                    log.audit('Dry Run Preview', `Saved ${previewRecords.length} group preview(s), manifest file ID: ${manifestFileId}`);
+                }
+
+                // The CSV is kept for every run that touched a payment, whether or not the report is emailed
+                let reportFile = null;
+                if (report.sent.length > 0 || report.failed.length > 0 || report.skipped.length > 0 || report.held.length > 0
+                    || report.deferred.length > 0 || report.bounced.length > 0) {
+                    try {
+                        reportFile = saveReportCsv(report, runId, dryRun);
+                    } catch (csvError) {
+                        log.error('Error saving run report CSV', csvError);
+                    }
+                }
+
+                // Send the report when something needs attention, or after every run when asked to
+                const hasIssues = skippedRecords.length > 0 || errorRecords.length > 0 || failedGroups.length > 0 || bouncedLogs.length > 0
+                    || Boolean(bankExportResult && (bankExportResult.error || bankExportResult.excludedCount > 0
+                        || (bankExportResult.unflaggedGroups || []).length > 0));
+                const sendReport = hasIssues || getCheckboxParameter(SCRIPT_PARAM_REPORT_CLEAN_RUNS);
+                const reportRecipients = sendReport ? getReportRecipients() : [];
+
+                if (sendReport && reportRecipients.length === 0) {
+                    log.audit('Run report not emailed', 'No Report Recipients (Employees) or Report Recipient Groups configured');
+                } else if (sendReport) {
+                    let subject = `${dryRun ? '[DRY RUN] ' : ''}ACH Payment Processing Report: ${report.sent.length} ${dryRun ? 'Previewed' : 'Sent'}, `
+                        + `${skippedRecords.length} Skipped, ${errorRecords.length} Errors, ${failedGroups.length} Failed`;
+                    if (bouncedLogs.length > 0) {
+                        subject = `${subject}, ${bouncedLogs.length} Bounced`;
+                    }
+                    if (deferredRecords.length > 0) {
+                        subject = `${subject}, ${deferredRecords.length} Deferred`;
+                    }
+                    if (exhaustedPayments.length > 0) {
+                        subject = `ACTION REQUIRED - ${subject}, ${exhaustedPayments.length} Out of Retries`;
+                    }
+
                     // Build HTML table for better email formatting
                     let bodyHtml = `
                     <h2>ACH Payment Processing Report</h2>
+                    <p>Run ID: ${runId}</p>
                     <p>Total Records: ${summaryReport.totalRecordsProcessed}</p>
-                    <p>Successfully Processed: ${summaryReport.successfullyProcessed}</p>`;
-                    
-                    if (skippedRecords.length > 0) {
+                    <p>Successfully ${dryRun ? 'Previewed' : 'Sent'}: ${sentPaymentCount} payment(s) in ${report.sent.length} email(s)</p>
+                    <p>Failed Groups: ${summaryReport.failedGroups}</p>`;
+
+                    if (exhaustedPayments.length > 0) {
                         bodyHtml += `
-                        <h3>Skipped Records (${skippedRecords.length})</h3>
+                        <h3>Retries Exhausted - Action Required (${exhaustedPayments.length})</h3>
+                        <p>These payments will not be emailed again. Fix the cause and clear their ACH Email Status to retry.</p>
                         <table border="1" cellpadding="4">
                             <tr>
                                 <th>Transaction ID</th>
-                                <th>Vendor</th>
-                                <th>Account</th>
-                                <th>Error Description</th>
+                                <th>Vendor ID</th>
+                                <th>Attempts</th>
+                                <th>Last Error</th>
                             </tr>`;
-                        
-                        skippedRecords.forEach(record => {
+
+                        exhaustedPayments.forEach(payment => {
                             bodyHtml += `
                             <tr>
-                                <td>${record.tranid}</td>
-                                <td>${record.entity}</td>
-                                <td>${record.accountId}</td>
-                                <td>${record.errorNote}</td>
+                                <td>${achRemittance.escapeHtml(payment.tranid)}</td>
+                                <td>${achRemittance.escapeHtml(payment.vendorId)}</td>
+                                <td>${payment.attempts}</td>
+                                <td>${achRemittance.escapeHtml(payment.error)}</td>
                             </tr>`;
                         });
-                        
+
                         bodyHtml += `</table>`;
                     }
-                    
-                    if (errorRecords.length > 0) {
-                        // Similar HTML table for error records
-                        // ...
+
+                    if (dryRun) {
+                        bodyHtml += `
+                    <p>Dry run: no vendor emails were sent. ${previewRecords.length} group preview(s) saved, manifest file ID: ${manifestFileId}</p>`;
+                    }
+
+                    if (bankExportResult && bankExportResult.error) {
+                        bodyHtml += `
+                    <h3>Bank Remittance Export Not Saved</h3>
+                    <p>The payments of ${bankExportGroups.length} group(s) stay pending for the export of the next run: ${achRemittance.escapeHtml(bankExportResult.error)}</p>`;
+                    } else if (bankExportResult) {
+                        bodyHtml += `
+                    <p>Bank remittance export: ${bankExportResult.paymentCount} payment(s) in file(s) ${bankExportResult.fileIds.join(', ')}`
+                            + `${bankExportResult.excludedCount > 0 ? `, ${bankExportResult.excludedCount} left out of a file` : ''}`
+                            + `${bankExportResult.warningCount > 0 ? `, ${bankExportResult.warningCount} with warnings` : ''}. The index CSV lists each payment and its issues.</p>`;
+                        if ((bankExportResult.unflaggedGroups || []).length > 0) {
+                            bodyHtml += `
+                    <h3>Bank Remittance Export Not Flagged - Action Required</h3>
+                    <p>These payments are in the saved export but could not be flagged as sent, so the next run exports them again: `
+                                + `${achRemittance.escapeHtml(bankExportResult.unflaggedGroups.map((group) => group.transactionsId.join(', ')).join('; '))}</p>`;
+                        }
+                    }
+
+                    if (report.bounced.length > 0) {
+                        bodyHtml += `
+                    <p>Bounced remittances: correct the payee's remittance email, clear its ACH Remittance Bounced Addresses and resend the payments from the remittance dashboard.</p>`;
+                        bodyHtml += renderReportTable('Bounced Remittances', report.bounced);
+                    }
+                    bodyHtml += renderReportTable('Failed and Errored Groups', report.failed);
+                    bodyHtml += renderReportTable('Skipped Groups', report.skipped);
+                    bodyHtml += renderReportTable('Held for Digest', report.held);
+                    bodyHtml += renderReportTable('Deferred to a Later Run', report.deferred);
+                    bodyHtml += renderReportTable(dryRun ? 'Previewed Groups' : 'Sent Groups', report.sent);
+
+                    if (reportFile) {
+                        bodyHtml += `
+                    <p>The attached CSV holds the same rows, it is also saved in the File Cabinet (file ID ${reportFile.id}).</p>`;
                     }
-                    
+
                     // Send email notification with the HTML report
-                    email.send({
-                        author: runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_EMAIL_AUTHOR }),
-                        recipients: recipient,
+                    const emailObj = {
+                        author: getSettings().authorId,
+                        recipients: reportRecipients.slice(0, MAX_ADDRESSES_PER_FIELD),
                         subject: subject,
                         body: bodyHtml,
                         isHtml: true
-                    });
+                    };
+                    if (reportRecipients.length > MAX_ADDRESSES_PER_FIELD) {
+                        emailObj.bcc = reportRecipients.slice(MAX_ADDRESSES_PER_FIELD, 2 * MAX_ADDRESSES_PER_FIELD);
+                    }
+                    if (reportRecipients.length > 2 * MAX_ADDRESSES_PER_FIELD) {
+                        log.audit('Run report recipients dropped', achRemittance.redact(reportRecipients.slice(2 * MAX_ADDRESSES_PER_FIELD)));
+                    }
+                    if (reportFile) {
+                        emailObj.attachments = [reportFile.file];
+                    }
+                    email.send(emailObj);
                 }
-                
+
+                // A bounce is reported once, in the first report emailed or saved after it was captured
+                if (!dryRun && bouncedLogs.length > 0 && (reportFile || (sendReport && reportRecipients.length > 0))) {
+                    markBouncesReported(bouncedLogs);
+                }
+
                 // Log processing metrics
                 log.audit('Usage units consumed', summaryContext.usage);
                 log.audit('Concurrency', summaryContext.concurrency);
@@ -403,77 +626,535 @@ define(['N/search', 'N/runtime', 'N/render', 'N/email', 'N/file', 'N/record'],
             }
         }
 
-        const searchRelatedEmailTemplate = (accountId) => {
-            try {
-                // Create search for email template mapping
-                const emailTemplateSearch = search.create({
-                    type: 'customrecord_tsc_acct_email_template_map',
+        /**
+         * Takes the script-wide run lock so two deployments can never work on the same payments at once.
+         * Locks older than the lock timeout are treated as left over from a crashed run and removed.
+         * @param {string} runId - Run ID to register the lock under
+         * @param {boolean} isRestarted - A restarted getInputData takes back the lock of its own deployment
+         * @returns {string} Run ID holding the lock, the original one when getInputData was restarted
+         */
+        const acquireRunLock = (runId, isRestarted) => {
+            const deploymentId = runtime.getCurrentScript().deploymentId;
+
+            const activeLocks = searchRunLocks().filter((lock) => {
+                if (lock.stale) {
+                    log.audit('Removing stale run lock', lock);
+                    record.delete({ type: RUN_LOCK_RECORD, id: lock.id });
+                    return false;
+                }
+                return true;
+            });
+
+            if (isRestarted) {
+                const ownLock = activeLocks.filter((lock) => lock.deploymentId === deploymentId)[0];
+                if (ownLock) {
+                    log.audit('Run lock resumed', ownLock);
+                    return ownLock.runId;
+                }
+            }
+
+            if (activeLocks.length > 0) {
+                throw new Error(`Run ${activeLocks[0].runId} of deployment ${activeLocks[0].deploymentId} is still in progress. `
+                    + `Wait for it to finish or delete its ${RUN_LOCK_RECORD} record if it is known to have stopped.`);
+            }
+
+            const lockRecord = record.create({ type: RUN_LOCK_RECORD });
+            lockRecord.setValue({ fieldId: RUN_LOCK_FIELD.RUN_ID, value: runId });
+            lockRecord.setValue({ fieldId: RUN_LOCK_FIELD.DEPLOYMENT, value: deploymentId });
+            lockRecord.setValue({ fieldId: RUN_LOCK_FIELD.ACQUIRED, value: new Date() });
+            const lockId = String(lockRecord.save());
+
+            // Two runs starting at the same moment can both get this far, the oldest lock wins
+            const winningLock = searchRunLocks().filter((lock) => !lock.stale)[0];
+            if (winningLock && winningLock.id !== lockId) {
+                record.delete({ type: RUN_LOCK_RECORD, id: lockId });
+                throw new Error(`Run ${winningLock.runId} of deployment ${winningLock.deploymentId} took the run lock first.`);
+            }
+
+            log.audit('Run lock acquired', { lockId: lockId, runId: runId, deploymentId: deploymentId });
+            return runId;
+        };
+
+        /**
+         * Releases the lock held by the current deployment.
+         * @returns {string} Run ID of the released lock, empty when none was held
+         */
+        const releaseRunLock = () => {
+            const deploymentId = runtime.getCurrentScript().deploymentId;
+            let runId = '';
+
+            searchRunLocks().forEach((lock) => {
+                if (lock.deploymentId === deploymentId) {
+                    record.delete({ type: RUN_LOCK_RECORD, id: lock.id });
+                    runId = runId || lock.runId;
+                    log.audit('Run lock released', lock);
+                }
+            });
+
+            return runId;
+        };
+
+        // Oldest first
+        const searchRunLocks = () => achRemittance.searchRunLocks(getSettings().lockTimeoutHours);
+
+        /**
+         * Reads back the delivery logs written during a run.
+         * @returns {Object} Logs grouped as { sent: [], failed: [], skipped: [] }
+         */
+        const searchDeliveryLogs = (runId) => {
+            const deliveryLogs = { sent: [], failed: [], skipped: [] };
+            if (!runId) {
+                return deliveryLogs;
+            }
+
+            search.create({
+                type: DELIVERY_LOG_RECORD,
+                filters: [
+                    [DELIVERY_LOG_FIELD.RUN_ID, 'is', runId]
+                ],
+                columns: [
+                    DELIVERY_LOG_FIELD.VENDOR,
+                    DELIVERY_LOG_FIELD.ACCOUNT,
+                    DELIVERY_LOG_FIELD.PAYMENTS,
+                    DELIVERY_LOG_FIELD.RECIPIENTS,
+                    DELIVERY_LOG_FIELD.STATUS,
+                    DELIVERY_LOG_FIELD.ERROR,
+                    DELIVERY_LOG_FIELD.KIND
+                ]
+            }).run().each((result) => {
+                const kind = result.getValue(DELIVERY_LOG_FIELD.KIND);
+                const entry = {
+                    logId: result.id,
+                    vendor: result.getText(DELIVERY_LOG_FIELD.VENDOR),
+                    account: result.getText(DELIVERY_LOG_FIELD.ACCOUNT),
+                    payments: result.getText(DELIVERY_LOG_FIELD.PAYMENTS),
+                    paymentIds: String(result.getValue(DELIVERY_LOG_FIELD.PAYMENTS) || '').split(',').filter(Boolean),
+                    recipients: result.getValue(DELIVERY_LOG_FIELD.RECIPIENTS),
+                    error: result.getValue(DELIVERY_LOG_FIELD.ERROR),
+                    // Correction and cancellation notices are told apart from remittances in the report
+                    kind: kind && kind !== achRemittance.NOTICE_KIND.REMITTANCE ? result.getText(DELIVERY_LOG_FIELD.KIND) : ''
+                };
+                const status = result.getValue(DELIVERY_LOG_FIELD.STATUS);
+
+                if (status === DELIVERY_STATUS.SENT) deliveryLogs.sent.push(entry);
+                else if (status === DELIVERY_STATUS.FAILED) deliveryLogs.failed.push(entry);
+                else if (status === DELIVERY_STATUS.SKIPPED) deliveryLogs.skipped.push(entry);
+                return true;
+            });
+
+            return deliveryLogs;
+        };
+
+        /**
+         * Delivery logs marked Bounced by the email capture plugin and not reported yet, in the entry format of
+         * searchDeliveryLogs.
+         */
+        const searchBouncedDeliveries = () => {
+            const bouncedLogs = [];
+
+            search.create({
+                type: DELIVERY_LOG_RECORD,
+                filters: [
+                    [DELIVERY_LOG_FIELD.STATUS, 'anyof', DELIVERY_STATUS.BOUNCED],
+                    'AND',
+                    [DELIVERY_LOG_FIELD.BOUNCE_REPORTED, 'is', 'F']
+                ],
+                columns: [
+                    DELIVERY_LOG_FIELD.VENDOR,
+                    DELIVERY_LOG_FIELD.ACCOUNT,
+                    DELIVERY_LOG_FIELD.PAYMENTS,
+                    DELIVERY_LOG_FIELD.RECIPIENTS,
+                    DELIVERY_LOG_FIELD.ERROR
+                ]
+            }).run().each((result) => {
+                bouncedLogs.push({
+                    logId: result.id,
+                    vendor: result.getText(DELIVERY_LOG_FIELD.VENDOR),
+                    account: result.getText(DELIVERY_LOG_FIELD.ACCOUNT),
+                    paymentIds: String(result.getValue(DELIVERY_LOG_FIELD.PAYMENTS) || '').split(',').filter(Boolean),
+                    recipients: result.getValue(DELIVERY_LOG_FIELD.RECIPIENTS),
+                    error: result.getValue(DELIVERY_LOG_FIELD.ERROR),
+                    kind: ''
+                });
+                return true;
+            });
+
+            return bouncedLogs;
+        };
+
+        const markBouncesReported = (bouncedLogs) => {
+            bouncedLogs.forEach((entry) => {
+                try {
+                    record.submitFields({
+                        type: DELIVERY_LOG_RECORD,
+                        id: entry.logId,
+                        values: { [DELIVERY_LOG_FIELD.BOUNCE_REPORTED]: true }
+                    });
+                } catch (e) {
+                    // Reported again next run, nothing is lost
+                    log.error('Error marking bounce reported', { logId: entry.logId, error: e.message });
+                }
+            });
+        };
+
+        /**
+         * Rows of the run report, one per vendor-account group (one per email for split groups):
+         * { vendor, account, paymentIds, paymentCount, totalAmount, recipients, note, reference }.
+         * Sent and failed rows come from the delivery logs, skipped and errored payments from the run output,
+         * so a dry run, which writes no logs, reports its previews as the sent rows.
+         * Bounced rows are the delivery logs the email capture plugin marked Bounced since the last report. Deferred
+         * rows are payments left pending by the send window, their settlement date or Max Emails per Run.
+         * @returns {Object} { sent, failed, skipped, held, deferred, bounced }
+         */
+        const buildReport = (options) => {
+            const fromDeliveryLog = (entry) => ({
+                vendor: entry.vendor,
+                account: entry.account,
+                paymentIds: entry.paymentIds,
+                recipients: entry.recipients,
+                note: entry.kind ? [`${entry.kind} notice`, entry.error].filter(Boolean).join(': ') : entry.error,
+                reference: `Delivery log ${entry.logId}`
+            });
+
+            const report = {
+                sent: options.dryRun
+                    ? options.previewRecords.map((preview) => ({
+                        vendor: preview.vendorName || preview.vendorId,
+                        account: preview.accountId,
+                        paymentIds: preview.transactionsId.map(String),
+                        recipients: preview.recipient,
+                        note: preview.subject,
+                        reference: `Preview file ${preview.emailFileId}`
+                    }))
+                    : options.deliveryLogs.sent.map(fromDeliveryLog),
+                failed: options.deliveryLogs.failed.map(fromDeliveryLog).concat(groupPaymentRecords(options.errorRecords)),
+                skipped: groupPaymentRecords(options.skippedRecords),
+                held: groupPaymentRecords(options.heldRecords),
+                deferred: groupPaymentRecords(options.deferredRecords),
+                bounced: options.bouncedLogs.map(fromDeliveryLog)
+            };
+
+            const paymentIds = [];
+            Object.keys(report).forEach((section) => {
+                report[section].forEach((row) => {
+                    row.paymentIds.forEach((paymentId) => {
+                        if (/^\d+$/.test(paymentId) && paymentIds.indexOf(paymentId) === -1) {
+                            paymentIds.push(paymentId);
+                        }
+                    });
+                });
+            });
+            const paymentAmounts = searchPaymentAmounts(paymentIds);
+
+            Object.keys(report).forEach((section) => {
+                report[section].forEach((row) => {
+                    row.paymentCount = row.paymentIds.length;
+                    row.totalAmount = formatTotalAmount(row.paymentIds, paymentAmounts);
+                });
+            });
+
+            return report;
+        };
+
+        // Collapses per-payment skipped, error, held or deferred records into one row per vendor, account and reason
+        const groupPaymentRecords = (paymentRecords) => {
+            const groups = {};
+
+            paymentRecords.forEach((paymentRecord) => {
+                const key = [paymentRecord.entityId, paymentRecord.accountId, paymentRecord.errorNote].join('|');
+                groups[key] = groups[key] || {
+                    vendor: paymentRecord.entity,
+                    account: paymentRecord.accountId,
+                    paymentIds: [],
+                    recipients: '',
+                    note: paymentRecord.errorNote,
+                    reference: ''
+                };
+                groups[key].paymentIds.push(String(paymentRecord.recordId));
+            });
+
+            return Object.keys(groups).map((key) => groups[key]);
+        };
+
+        /**
+         * Amount and currency of each payment, searched 1,000 IDs at a time.
+         * @returns {Object} { amount, currency } by payment internal ID
+         */
+        const searchPaymentAmounts = (paymentIds) => {
+            const amounts = {};
+
+            for (let start = 0; start < paymentIds.length; start += 1000) {
+                search.create({
+                    type: search.Type.TRANSACTION,
                     filters: [
-                        ['custrecord_tsc_account', 'anyof', accountId]
+                        ['internalid', 'anyof', paymentIds.slice(start, start + 1000)],
+                        'AND',
+                        ['mainline', 'is', 'T']
                     ],
-                    columns: ['custrecord_tsc_email_template_id']
+                    columns: ['fxamount', 'currency']
+                }).run().each((result) => {
+                    amounts[String(result.id)] = {
+                        amount: Math.abs(parseFloat(result.getValue('fxamount')) || 0),
+                        currency: result.getText('currency')
+                    };
+                    return true;
                 });
+            }
 
-                // Run search and get results
-                const searchResult = emailTemplateSearch.run().getRange({
-                    start: 0,
-                    end: 1
-                });
+            return amounts;
+        };
 
-                // Return template ID if found
-                if (searchResult.length > 0) {
-                    return searchResult[0].getValue('custrecord_tsc_email_template_id');
-                } else {
-                    throw new Error('No email template found for account ID: ' + accountId);
+        // e.g. "1200.00 USD" or "1200.00 USD; 80.50 EUR" when a group mixes currencies
+        const formatTotalAmount = (paymentIds, paymentAmounts) => {
+            const totals = {};
+            paymentIds.forEach((paymentId) => {
+                const payment = paymentAmounts[paymentId];
+                if (payment) {
+                    totals[payment.currency] = (totals[payment.currency] || 0) + payment.amount;
                 }
-            } catch (e) {
-                log.error('searchRelatedEmailTemplate', e);
-                throw e;
+            });
+            return Object.keys(totals).map((currency) => `${totals[currency].toFixed(2)} ${currency}`).join('; ');
+        };
+
+        const renderReportTable = (title, rows) => {
+            if (rows.length === 0) {
+                return '';
             }
-        }
 
-        const generateIndividualPaymentVoucher = (transactionIds) => {
+            let tableHtml = `
+                        <h3>${title} (${rows.length})</h3>
+                        <table border="1" cellpadding="4">
+                            <tr>
+                                <th>Vendor</th>
+                                <th>Account</th>
+                                <th>Payments</th>
+                                <th>Total Amount</th>
+                                <th>Recipient</th>
+                                <th>Note</th>
+                            </tr>`;
 
-            let pdfFiles = [];
+            rows.forEach(row => {
+                tableHtml += `
+                            <tr>
+                                <td>${achRemittance.escapeHtml(row.vendor)}</td>
+                                <td>${achRemittance.escapeHtml(row.account)}</td>
+                                <td>${row.paymentCount}</td>
+                                <td>${achRemittance.escapeHtml(row.totalAmount)}</td>
+                                <td>${achRemittance.escapeHtml(row.recipients)}</td>
+                                <td>${achRemittance.escapeHtml(row.note)}</td>
+                            </tr>`;
+            });
 
-            transactionIds.forEach((transactionId) => {
-                try {
-                    // Create renderer
-                    let renderer = render.create();
+            return tableHtml + `</table>`;
+        };
 
-                    // Set template
-                    renderer.setTemplateByScriptId({
-                        scriptId: runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_PRINT_TEMPLATE_ID })
-                    });
+        /**
+         * Saves the report rows as a CSV to the Run Report Folder, or to the archive (preview for a dry run)
+         * folder when none is set.
+         * @returns {Object} { id, file } - the saved file and its internal ID
+         */
+        const saveReportCsv = (report, runId, dryRun) => {
+            const settings = getSettings();
+            const sections = [
+                [dryRun ? 'Previewed' : 'Sent', report.sent],
+                ['Failed', report.failed],
+                ['Skipped', report.skipped],
+                ['Held for Digest', report.held],
+                ['Deferred', report.deferred],
+                ['Bounced', report.bounced]
+            ];
+            const lines = [achRemittance.toCsvRow(REPORT_CSV_HEADER)];
 
-                    // Add record
-                    renderer.addRecord({
-                        templateName: 'record',
-                        record: record.load({
-                            type: 'vendorpayment',
-                            id: transactionId
-                        })
-                    });
+            sections.forEach((section) => {
+                section[1].forEach((row) => {
+                    lines.push(achRemittance.toCsvRow([
+                        section[0],
+                        row.vendor,
+                        row.account,
+                        row.paymentCount,
+                        row.totalAmount,
+                        row.recipients,
+                        row.note,
+                        row.paymentIds.join(' '),
+                        row.reference
+                    ]));
+                });
+            });
 
-                    // Render PDF
-                    let pdfContent = renderer.renderAsPdf();
+            const reportFile = file.create({
+                name: `${runId || achRemittance.generateRunId()}_report.csv`,
+                fileType: file.Type.CSV,
+                contents: lines.join('\n'),
+                folder: runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_REPORT_FOLDER })
+                    || (dryRun ? settings.previewFolderId : settings.archiveFolderId)
+            });
+            const fileId = reportFile.save();
+            log.audit('Run report saved', `File ID ${fileId}`);
 
-                    // Create file record
-                    let pdfFile = file.create({
-                        name: 'ACH_Payment_' + transactionId + '.pdf',
-                        fileType: file.Type.PDF,
-                        contents: pdfContent.getContents(),
-                        folder: 36472 // Your folder ID
-                    });
+            return { id: fileId, file: reportFile };
+        };
 
-                    // Add the file ID to the array
-                    pdfFiles.push(pdfFile);
+        /**
+         * Flags the payments of each exported group as sent, one group at a time so a failure leaves only its own
+         * payments pending.
+         * @returns {Array} The groups that could not be flagged
+         */
+        const flagBankExportSent = (bankExportGroups, fileIds) => {
+            return bankExportGroups.filter((group) => {
+                try {
+                    achRemittance.recordBankExportSent(group, fileIds);
+                    return false;
                 } catch (e) {
-                    log.error('Error generating PDF for transaction ' + transactionId, e);
+                    log.error('Error flagging bank remittance export sent', { vendorId: group.vendorId, paymentIds: group.transactionsId, error: e.message });
+                    return true;
+                }
+            });
+        };
+
+        /**
+         * Saves the bank remittance export of the run, one file per configured format and the index CSV, to the Bank
+         * Export Folder, or to the archive (preview for a dry run) folder when none is set.
+         * @returns {Object} { fileIds, paymentCount, excludedCount, warningCount }
+         */
+        const saveBankExport = (bankExportGroups, runId, dryRun) => {
+            const settings = getSettings();
+            const payments = bankExportGroups.reduce((all, group) => all.concat(group.payments), []);
+            const folderId = settings.bankExportFolderId || (dryRun ? settings.previewFolderId : settings.archiveFolderId);
+
+            const result = bankExport.createExportFiles(payments, settings.bankExportFormats, {
+                runId: runId || bankExportGroups[0].runId,
+                senderId: settings.ediSenderId
+            });
+            const exportFiles = result.files.concat([file.create({
+                name: `${runId || bankExportGroups[0].runId}_bank_export_index.csv`,
+                fileType: file.Type.CSV,
+                contents: result.indexRows.map(achRemittance.toCsvRow).join('\n')
+            })]);
+            const fileIds = exportFiles.map((exportFile) => {
+                exportFile.folder = folderId;
+                return exportFile.save();
+            });
+            log.audit('Bank remittance export saved', {
+                fileIds: fileIds,
+                payments: payments.length,
+                excluded: result.excludedCount,
+                warnings: result.warningCount
+            });
+
+            return {
+                fileIds: fileIds,
+                paymentCount: payments.length,
+                excludedCount: result.excludedCount,
+                warningCount: result.warningCount
+            };
+        };
+
+        /**
+         * Who receives the run report: the employees of Report Recipients (Employees), by internal ID, and the
+         * email addresses of the members of the Report Recipient Groups.
+         * @returns {Array} Employee IDs and addresses, without duplicates
+         */
+        const getReportRecipients = () => {
+            const getIds = (name) => {
+                const value = runtime.getCurrentScript().getParameter({ name: name });
+                return String(Array.isArray(value) ? value.join(',') : value || '')
+                    .split(/[,\s]+/)
+                    .filter((id) => /^\d+$/.test(id));
+            };
+            const recipients = getIds(SCRIPT_PARAM_REPORT_EMPLOYEES);
+            const groupIds = getIds(SCRIPT_PARAM_REPORT_GROUPS);
+
+            if (groupIds.length > 0) {
+                const memberEmail = search.createColumn({ name: 'email', join: 'groupMember' });
+                search.create({
+                    type: search.Type.ENTITY_GROUP,
+                    filters: [
+                        ['internalid', 'anyof', groupIds]
+                    ],
+                    columns: [memberEmail]
+                }).run().each((result) => {
+                    const address = result.getValue(memberEmail);
+                    if (address && recipients.indexOf(address) === -1) {
+                        recipients.push(address);
+                    }
+                    return true;
+                });
+            }
+
+            return recipients;
+        };
+
+        // Remittance settings of this deployment, see achRemittance.getSettings
+        const getSettings = () => {
+            return achRemittance.getSettings((name) => runtime.getCurrentScript().getParameter({ name: name }));
+        };
+
+        const isDryRun = () => getSettings().dryRun;
+
+        /**
+         * Run ID getInputData put in the cache. Should the cache have dropped it, the run lock of the deployment still
+         * holds it; a dry run takes no lock and then names the rest of its previews under a new run ID.
+         */
+        const getRunId = () => {
+            const deploymentId = runtime.getCurrentScript().deploymentId;
+            return cache.getCache({ name: RUN_ID_CACHE, scope: cache.Scope.PRIVATE }).get({
+                key: deploymentId,
+                ttl: getSettings().lockTimeoutHours * 3600,
+                loader: () => {
+                    const ownLock = isDryRun() ? null : searchRunLocks().filter((lock) => lock.deploymentId === deploymentId)[0];
+                    log.audit('Run ID not cached', ownLock ? `Taken from run lock ${ownLock.id}` : 'New run ID for the dry run');
+                    return ownLock ? ownLock.runId : achRemittance.generateRunId();
                 }
             });
+        };
+
+        const isResend = () => getCheckboxParameter(SCRIPT_PARAM_RESEND);
+
+        // Queued by the dashboard's Preview action for the selected payments
+        const isScopedPreview = () => isDryRun() && getPaymentIdsParameter().length > 0;
+
+        const getPaymentIdsParameter = () => {
+            return String(runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_PAYMENT_IDS }) || '')
+                .split(',')
+                .map((id) => id.trim())
+                .filter((id) => /^\d+$/.test(id));
+        };
+
+        const getCheckboxParameter = (name) => {
+            const value = runtime.getCurrentScript().getParameter({ name: name });
+            return value === true || value === 'T';
+        };
+
+        /**
+         * Writes the dry run manifest CSV (one line per previewed group) to the preview folder.
+         * @returns {number|null} File ID of the manifest, null when nothing was previewed
+         */
+        const savePreviewManifest = (previewRecords) => {
+            if (previewRecords.length === 0) {
+                return null;
+            }
+
+            const lines = [achRemittance.toCsvRow(PREVIEW_MANIFEST_HEADER)];
+            previewRecords.forEach((preview) => {
+                lines.push(achRemittance.toCsvRow([
+                    preview.groupKey,
+                    preview.vendorId,
+                    preview.accountId,
+                    preview.recipient,
+                    preview.emailTemplateId,
+                    preview.transactionsId.join(' '),
+                    preview.subject,
+                    preview.emailFileId,
+                    preview.voucherFileIds.join(' ')
+                ]));
+            });
 
-            return pdfFiles;
+            return file.create({
+                name: `${previewRecords[0].runId}_manifest.csv`,
+                fileType: file.Type.CSV,
+                contents: lines.join('\n'),
+                folder: getSettings().previewFolderId
+            }).save();
         };
 
         return { getInputData, map, reduce, summarize }
@@ -0,0 +1,369 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Suitelet
+ */
+define(['N/ui/serverWidget', 'N/ui/message', 'N/search', 'N/record', 'N/task', 'N/runtime', 'N/redirect', './tsc_lib_ohs27_ach_remittance'],
+
+    (serverWidget, message, search, record, task, runtime, redirect, achRemittance) => {
+        const SCRIPT_PARAM_ELIGIBLE_ACH_PAYMENTS_SEARCH = 'custscript_tsc_ohs27_sl_eligible_search';
+        const SCRIPT_PARAM_PREVIEW_FOLDER = 'custscript_tsc_ohs27_sl_preview_folder';
+        const SCRIPT_PARAM_SENT_DAYS = 'custscript_tsc_ohs27_sl_sent_days';
+        const DEFAULT_SENT_DAYS = 30;
+        // Actions are carried out by the remittance Map/Reduce, queued on its on-demand deployment
+        const MR_SCRIPT_ID = 'customscript_tsc_mr_ohs27_ach_email';
+        const MR_DEPLOYMENT_ID = 'customdeploy_tsc_mr_ohs27_ach_email_od';
+        const MR_PARAM_PAYMENT_IDS = 'custscript_tsc_ohs27_payment_ids';
+        const MR_PARAM_DRY_RUN = 'custscript_tsc_ohs27_dry_run';
+        const MR_PARAM_PREVIEW_FOLDER = 'custscript_tsc_ohs27_preview_folder';
+        const MR_PARAM_RESEND = 'custscript_tsc_ohs27_resend';
+        // Script parameters of type TEXTAREA hold at most 4000 characters
+        const MAX_PAYMENT_IDS_LENGTH = 4000;
+        const MAX_ROWS = 1000;
+        const MAX_PREVIEW_FILES = 50;
+        const ACTION = {
+            PREVIEW: 'preview',
+            RESEND: 'resend',
+            EXCLUDE: 'exclude'
+        };
+        const VIEWS = [
+            { id: 'custpage_pending', label: 'Pending Notification' },
+            { id: 'custpage_failed', label: 'Failed' },
+            { id: 'custpage_sent', label: 'Sent' }
+        ];
+        const FIELD_ACTION = 'custpage_action';
+        const FIELD_MESSAGE = 'custpage_message';
+        const FIELD_MESSAGE_TYPE = 'custpage_message_type';
+
+        /**
+         * Defines the Suitelet script trigger point.
+         * @param {Object} scriptContext
+         * @param {ServerRequest} scriptContext.request - Incoming request
+         * @param {ServerResponse} scriptContext.response - Suitelet response
+         * @since 2015.2
+         */
+        const onRequest = (scriptContext) => {
+            if (scriptContext.request.method === 'POST') {
+                handleAction(scriptContext.request);
+                return;
+            }
+
+            scriptContext.response.writePage(buildDashboard(scriptContext.request));
+        }
+
+        const buildDashboard = (request) => {
+            const form = serverWidget.createForm({ title: 'ACH Remittance Dashboard' });
+
+            // Rendered as HTML and open to any link, so the outcome of the last action is shown as plain text
+            if (request.parameters[FIELD_MESSAGE]) {
+                form.addPageInitMessage({
+                    type: request.parameters[FIELD_MESSAGE_TYPE] === 'error' ? message.Type.ERROR : message.Type.CONFIRMATION,
+                    message: achRemittance.escapeHtml(request.parameters[FIELD_MESSAGE])
+                });
+            }
+
+            const actionField = form.addField({
+                id: FIELD_ACTION,
+                type: serverWidget.FieldType.SELECT,
+                label: 'Action for Selected Payments'
+            });
+            actionField.addSelectOption({ value: ACTION.PREVIEW, text: 'Preview email and voucher (no email is sent)' });
+            actionField.addSelectOption({ value: ACTION.RESEND, text: 'Resend remittance' });
+            actionField.addSelectOption({ value: ACTION.EXCLUDE, text: 'Exclude from auto-email' });
+            actionField.isMandatory = true;
+            actionField.setHelpText({
+                help: 'Preview and resend queue the ACH remittance Map/Reduce for the selected payments; it groups them by vendor and account exactly like the nightly run.'
+            });
+
+            form.addSubmitButton({ label: 'Apply' });
+
+            const rowsByView = {
+                custpage_pending: searchPendingPayments(),
+                // Bounced payments keep their sent flag until AP has corrected the address and resent them
+                custpage_failed: searchPayments([
+                    [
+                        achRemittance.sentFilter(false),
+                        'AND',
+                        [achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'anyof', [achRemittance.DELIVERY_STATUS.FAILED, achRemittance.DELIVERY_STATUS.EXHAUSTED]]
+                    ],
+                    'OR',
+                    [achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'anyof', achRemittance.DELIVERY_STATUS.BOUNCED]
+                ]),
+                custpage_sent: searchPayments([
+                    achRemittance.sentFilter(true),
+                    'AND',
+                    ['trandate', 'onorafter', 'daysago' + getSentDays()]
+                ])
+            };
+
+            VIEWS.forEach((view) => {
+                form.addTab({ id: view.id + '_tab', label: `${view.label} (${rowsByView[view.id].length})` });
+                addPaymentSublist(form, view, rowsByView[view.id]);
+            });
+
+            form.addTab({ id: 'custpage_previews_tab', label: 'Previews' });
+            addPreviewSublist(form);
+
+            return form;
+        };
+
+        const addPaymentSublist = (form, view, rows) => {
+            const sublist = form.addSublist({
+                id: view.id,
+                type: serverWidget.SublistType.LIST,
+                label: view.label,
+                tab: view.id + '_tab'
+            });
+            sublist.addMarkAllButtons();
+
+            sublist.addField({ id: 'custpage_select', type: serverWidget.FieldType.CHECKBOX, label: 'Select' });
+            sublist.addField({ id: 'custpage_id', type: serverWidget.FieldType.TEXT, label: 'Internal ID' })
+                .updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN });
+            [
+                ['custpage_tranid', 'Payment'],
+                ['custpage_trandate', 'Date'],
+                ['custpage_vendor', 'Payee'],
+                ['custpage_account', 'Account'],
+                ['custpage_amount', 'Amount'],
+                ['custpage_status', 'Email Status'],
+                ['custpage_attempts', 'Failed Attempts'],
+                ['custpage_next_retry', 'Next Retry'],
+                ['custpage_last_error', 'Last Error']
+            ].forEach((column) => {
+                sublist.addField({ id: column[0], type: serverWidget.FieldType.TEXT, label: column[1] });
+            });
+
+            rows.forEach((row, line) => {
+                Object.keys(row).forEach((fieldId) => {
+                    // Empty values cannot be set on a sublist
+                    if (row[fieldId] !== '' && row[fieldId] !== null) {
+                        sublist.setSublistValue({ id: fieldId, line: line, value: String(row[fieldId]).substring(0, 300) });
+                    }
+                });
+            });
+        };
+
+        // Latest files written by dry runs: the merged emails, vouchers and manifests
+        const addPreviewSublist = (form) => {
+            const sublist = form.addSublist({
+                id: 'custpage_previews',
+                type: serverWidget.SublistType.LIST,
+                label: 'Previews',
+                tab: 'custpage_previews_tab'
+            });
+            sublist.addField({ id: 'custpage_file', type: serverWidget.FieldType.TEXT, label: 'File' });
+            sublist.addField({ id: 'custpage_created', type: serverWidget.FieldType.TEXT, label: 'Created' });
+            sublist.addField({ id: 'custpage_url', type: serverWidget.FieldType.URL, label: 'Open' }).linkText = 'Open';
+
+            const previewFolderId = runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_PREVIEW_FOLDER });
+            if (!previewFolderId) {
+                return;
+            }
+
+            const results = search.create({
+                type: 'file',
+                filters: [
+                    ['folder', 'anyof', previewFolderId]
+                ],
+                columns: [
+                    search.createColumn({ name: 'created', sort: search.Sort.DESC }),
+                    'name',
+                    'url'
+                ]
+            }).run().getRange({ start: 0, end: MAX_PREVIEW_FILES });
+
+            results.forEach((result, line) => {
+                sublist.setSublistValue({ id: 'custpage_file', line: line, value: result.getValue('name') });
+                sublist.setSublistValue({ id: 'custpage_created', line: line, value: result.getValue('created') });
+                sublist.setSublistValue({ id: 'custpage_url', line: line, value: result.getValue('url') });
+            });
+        };
+
+        /**
+         * Runs the Map/Reduce's eligible payments search with the same exclusions it applies itself, so the list
+         * shows what the next run will pick up.
+         */
+        const searchPendingPayments = () => {
+            const searchId = runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_ELIGIBLE_ACH_PAYMENTS_SEARCH });
+            if (!searchId) {
+                return [];
+            }
+
+            const savedSearch = search.load({ id: searchId });
+            const eligibilityFilters = [
+                [achRemittance.VENDOR_PAYMENT_FIELD_EXCLUDE, 'is', 'F'],
+                'AND',
+                [achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'noneof', [achRemittance.DELIVERY_STATUS.EXHAUSTED, achRemittance.DELIVERY_STATUS.OPTED_OUT]]
+            ];
+            // Payments held for a vendor's digest are picked up whatever the saved search criteria
+            const heldFilters = [
+                [achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_STATUS, 'anyof', achRemittance.DELIVERY_STATUS.HELD],
+                'AND',
+                achRemittance.sentFilter(false)
+            ];
+            const filterExpression = savedSearch.filterExpression;
+
+            return searchPayments(filterExpression.length > 0
+                ? [[filterExpression, 'OR', heldFilters], 'AND', eligibilityFilters]
+                : eligibilityFilters);
+        };
+
+        const searchPayments = (filters) => {
+            const rows = [];
+
+            search.create({
+                type: search.Type.TRANSACTION,
+                filters: [
+                    ['mainline', 'is', 'T'],
+                    'AND',
+                    filters
+                ],
+                columns: [
+                    search.createColumn({ name: 'trandate', sort: search.Sort.DESC }),
+                    'tranid',
+                    'entity',
+                    'account',
+                    'amount',
+                    achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_STATUS,
+                    achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS,
+                    achRemittance.VENDOR_PAYMENT_FIELD_NEXT_RETRY,
+                    achRemittance.VENDOR_PAYMENT_FIELD_LAST_ERROR
+                ]
+            }).run().getRange({ start: 0, end: MAX_ROWS }).forEach((result) => {
+                rows.push({
+                    custpage_id: result.id,
+                    custpage_tranid: result.getValue('tranid'),
+                    custpage_trandate: result.getValue('trandate'),
+                    custpage_vendor: result.getText('entity'),
+                    custpage_account: result.getText('account'),
+                    custpage_amount: result.getValue('amount'),
+                    custpage_status: result.getText(achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_STATUS),
+                    custpage_attempts: result.getValue(achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_ATTEMPTS),
+                    custpage_next_retry: result.getValue(achRemittance.VENDOR_PAYMENT_FIELD_NEXT_RETRY),
+                    custpage_last_error: result.getValue(achRemittance.VENDOR_PAYMENT_FIELD_LAST_ERROR)
+                });
+            });
+
+            return rows;
+        };
+
+        /**
+         * Applies the chosen action to the payments selected in any of the lists, then redirects back to the
+         * dashboard with the outcome so a refresh does not repeat the action.
+         */
+        const handleAction = (request) => {
+            const action = request.parameters[FIELD_ACTION];
+            const paymentIds = [];
+            let outcome;
+
+            VIEWS.forEach((view) => {
+                const lineCount = request.getLineCount({ group: view.id });
+                for (let line = 0; line < lineCount; line++) {
+                    if (request.getSublistValue({ group: view.id, name: 'custpage_select', line: line }) === 'T') {
+                        const paymentId = request.getSublistValue({ group: view.id, name: 'custpage_id', line: line });
+                        if (paymentIds.indexOf(paymentId) === -1) {
+                            paymentIds.push(paymentId);
+                        }
+                    }
+                }
+            });
+
+            try {
+                if (paymentIds.length === 0) {
+                    throw new Error('Select at least one payment.');
+                }
+
+                if (action === ACTION.EXCLUDE) {
+                    // The lists mix payment types, each is updated as its own record type
+                    search.create({
+                        type: search.Type.TRANSACTION,
+                        filters: [
+                            ['internalid', 'anyof', paymentIds],
+                            'AND',
+                            ['mainline', 'is', 'T']
+                        ]
+                    }).run().each((result) => {
+                        record.submitFields({
+                            type: result.recordType,
+                            id: result.id,
+                            values: { [achRemittance.VENDOR_PAYMENT_FIELD_EXCLUDE]: true }
+                        });
+                        return true;
+                    });
+                    outcome = { type: 'confirmation', text: `${paymentIds.length} payment(s) excluded from auto-email.` };
+                } else if (action === ACTION.PREVIEW || action === ACTION.RESEND) {
+                    const taskId = queueRemittanceRun(paymentIds, action);
+                    outcome = {
+                        type: 'confirmation',
+                        text: action === ACTION.PREVIEW
+                            ? `Preview of ${paymentIds.length} payment(s) queued (task ${taskId}). The files appear under Previews once the run completes.`
+                            : `Resend of ${paymentIds.length} payment(s) queued (task ${taskId}).`
+                    };
+                } else {
+                    throw new Error('Unknown action: ' + action);
+                }
+
+                log.audit('Dashboard action', { action: action, paymentIds: paymentIds, user: runtime.getCurrentUser().id });
+            } catch (e) {
+                log.error('Dashboard action failed', { action: action, paymentIds: paymentIds, error: e.message });
+                outcome = { type: 'error', text: e.message };
+            }
+
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: {
+                    [FIELD_MESSAGE]: outcome.text,
+                    [FIELD_MESSAGE_TYPE]: outcome.type
+                }
+            });
+        };
+
+        /**
+         * Queues the remittance Map/Reduce for the given payments.
+         * @returns {string} Task ID
+         */
+        const queueRemittanceRun = (paymentIds, action) => {
+            const paymentIdsParam = paymentIds.join(',');
+            if (paymentIdsParam.length > MAX_PAYMENT_IDS_LENGTH) {
+                throw new Error(`Too many payments selected (${paymentIds.length}), select fewer and try again.`);
+            }
+
+            const params = {
+                [MR_PARAM_PAYMENT_IDS]: paymentIdsParam,
+                [MR_PARAM_DRY_RUN]: action === ACTION.PREVIEW,
+                [MR_PARAM_RESEND]: action === ACTION.RESEND
+            };
+            // The previews go where the Previews tab lists them, whatever the on-demand deployment is set to
+            if (action === ACTION.PREVIEW) {
+                const previewFolderId = runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_PREVIEW_FOLDER });
+                if (!previewFolderId) {
+                    throw new Error('No Preview Folder is set on the dashboard deployment.');
+                }
+                params[MR_PARAM_PREVIEW_FOLDER] = previewFolderId;
+            }
+
+            // The Map/Reduce refuses to start while another run holds the lock, which the user would never see
+            const activeLock = achRemittance.searchRunLocks(achRemittance.getMapReduceSettings().lockTimeoutHours)
+                .filter((lock) => !lock.stale)[0];
+            if (activeLock) {
+                throw new Error(`Remittance run ${activeLock.runId} is in progress, nothing was queued. Try again once it has finished.`);
+            }
+
+            const mapReduceTask = task.create({
+                taskType: task.TaskType.MAP_REDUCE,
+                scriptId: MR_SCRIPT_ID,
+                deploymentId: MR_DEPLOYMENT_ID,
+                params: params
+            });
+
+            return mapReduceTask.submit();
+        };
+
+        const getSentDays = () => {
+            const days = parseInt(runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_SENT_DAYS }), 10);
+            return isNaN(days) || days < 1 ? DEFAULT_SENT_DAYS : days;
+        };
+
+        return { onRequest }
+
+    });
@@ -0,0 +1,90 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Suitelet
+ */
+define(['N/https', 'N/search', 'N/redirect', 'N/runtime', './tsc_lib_ohs27_ach_remittance'],
+
+    (https, search, redirect, runtime, achRemittance) => {
+        const PARAM_PAYMENT_ID = 'custparam_tsc_ach_payment_id';
+        // Signed for the user by the User Event, a page that only forges the POST cannot know it
+        const PARAM_SEND_TOKEN = 'custparam_tsc_ach_send_token';
+        // Read by the ACH remittance User Event to show the outcome on the payment
+        const PARAM_MESSAGE = 'custparam_tsc_ach_message';
+        const PARAM_MESSAGE_TYPE = 'custparam_tsc_ach_message_type';
+
+        /**
+         * Defines the Suitelet script trigger point.
+         * Sends the remittance of the payment behind the Send Remittance button, then redirects back to it. Only the
+         * button's POST with its send token sends, so neither a prefetched or shared link nor a request forged by
+         * another page emails the vendor. It runs in the user's role, which has to be able to see the payment.
+         * @param {Object} scriptContext
+         * @param {ServerRequest} scriptContext.request - Incoming request
+         * @param {ServerResponse} scriptContext.response - Suitelet response
+         * @since 2015.2
+         */
+        const onRequest = (scriptContext) => {
+            if (scriptContext.request.method !== https.Method.POST) {
+                scriptContext.response.write('Use the Send Remittance button on the payment to send its remittance.');
+                return;
+            }
+
+            const paymentId = scriptContext.request.parameters[PARAM_PAYMENT_ID];
+            if (!/^\d+$/.test(String(paymentId || ''))) {
+                scriptContext.response.write('Missing or invalid payment ID.');
+                return;
+            }
+
+            // Vendor payments, vendor prepayments and customer refunds all have the button
+            const recordType = getRecordType(paymentId);
+            if (!recordType) {
+                scriptContext.response.write('Missing or invalid payment ID.');
+                return;
+            }
+
+            let outcome;
+            try {
+                if (!achRemittance.isValidSendToken(paymentId, scriptContext.request.parameters[PARAM_SEND_TOKEN])) {
+                    log.audit('Send Remittance refused', { paymentId: paymentId, user: runtime.getCurrentUser().id });
+                    throw new Error('The Send Remittance request could not be verified. Reload the payment and click the button again.');
+                }
+
+                const result = achRemittance.sendPaymentRemittance(paymentId, { source: 'UI' });
+                outcome = {
+                    type: result.status === achRemittance.DELIVERY_STATUS.SENT
+                        ? 'confirmation'
+                        : result.status === achRemittance.DELIVERY_STATUS.FAILED ? 'error' : 'warning',
+                    text: result.message
+                };
+
+                log.audit('Send Remittance', achRemittance.redact({ paymentId: paymentId, result: result, user: runtime.getCurrentUser().id }));
+            } catch (e) {
+                log.error('Send Remittance failed', { paymentId: paymentId, error: e.message });
+                outcome = { type: 'error', text: e.message };
+            }
+
+            redirect.toRecord({
+                type: recordType,
+                id: paymentId,
+                parameters: {
+                    [PARAM_MESSAGE]: outcome.text,
+                    [PARAM_MESSAGE_TYPE]: outcome.type
+                }
+            });
+        }
+
+        const getRecordType = (paymentId) => {
+            try {
+                return search.lookupFields({
+                    type: search.Type.TRANSACTION,
+                    id: paymentId,
+                    columns: ['recordtype']
+                }).recordtype;
+            } catch (e) {
+                log.error('Send Remittance payment not found', { paymentId: paymentId, error: e.message });
+                return '';
+            }
+        };
+
+        return { onRequest }
+
+    });
@@ -0,0 +1,45 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType Suitelet
+ */
+define(['N/file', 'N/runtime', './tsc_lib_ohs27_ach_download_link'],
+
+    (file, runtime, downloadLink) => {
+        // The Voucher Archive Folder of the remittance Map/Reduce
+        const SCRIPT_PARAM_ARCHIVE_FOLDER = 'custscript_tsc_ohs27_dl_archive_folder';
+        // Same answer for every refused link, so it does not tell a guessed token from an expired one
+        const REFUSED_MESSAGE = 'This remittance download link is invalid or has expired. Please contact the sender of '
+            + 'the remittance email for a new copy.';
+
+        /**
+         * Defines the Suitelet script trigger point.
+         * Serves an archived remittance file to the holder of a signed, unexpired link from the remittance email.
+         * Deployed available without login, so it serves nothing but the file the token was signed for, and only when
+         * that file is in the voucher archive.
+         * @param {Object} scriptContext
+         * @param {ServerRequest} scriptContext.request - Incoming request
+         * @param {ServerResponse} scriptContext.response - Suitelet response
+         * @since 2015.2
+         */
+        const onRequest = (scriptContext) => {
+            const verified = downloadLink.verifyToken(scriptContext.request.parameters[downloadLink.TOKEN_PARAM],
+                runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_ARCHIVE_FOLDER }));
+            if (verified.error) {
+                log.audit('Download refused', verified.error);
+                scriptContext.response.write(REFUSED_MESSAGE);
+                return;
+            }
+
+            try {
+                const voucherFile = file.load({ id: verified.fileId });
+                log.audit('Download served', { fileId: verified.fileId });
+                scriptContext.response.writeFile({ file: voucherFile, isInline: false });
+            } catch (e) {
+                log.error('Download failed', { fileId: verified.fileId, error: e.message });
+                scriptContext.response.write(REFUSED_MESSAGE);
+            }
+        }
+
+        return { onRequest }
+
+    });
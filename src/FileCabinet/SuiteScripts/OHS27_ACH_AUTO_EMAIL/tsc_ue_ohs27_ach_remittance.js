@@ -0,0 +1,142 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType UserEventScript
+ */
+define(['N/runtime', 'N/search', 'N/ui/message', 'N/ui/serverWidget', './tsc_lib_ohs27_ach_remittance'],
+
+    (runtime, search, message, serverWidget, achRemittance) => {
+        const SCRIPT_PARAM_SEND_ON_APPROVAL = 'custscript_tsc_ohs27_ue_send_on_approval';
+        // The button runs the send remittance Suitelet through this client script
+        const CLIENT_SCRIPT_PATH = './tsc_cs_ohs27_ach_remittance.js';
+        const BUTTON_ID = 'custpage_tsc_send_remittance';
+        // Posted with the button so the Suitelet knows the request came from this form, see createSendToken
+        const SEND_TOKEN_FIELD = 'custpage_tsc_send_token';
+        // Set by the send remittance Suitelet when it redirects back to the payment
+        const PARAM_MESSAGE = 'custparam_tsc_ach_message';
+        const PARAM_MESSAGE_TYPE = 'custparam_tsc_ach_message_type';
+        const MESSAGE_TYPES = {
+            confirmation: message.Type.CONFIRMATION,
+            warning: message.Type.WARNING,
+            error: message.Type.ERROR
+        };
+        // approvalstatus of a vendor payment once approved, the field is empty when approval routing is off
+        const APPROVAL_STATUS_APPROVED = '2';
+
+        /**
+         * Defines the function definition that is executed before record is loaded.
+         * @param {Object} scriptContext
+         * @param {Record} scriptContext.newRecord - New record
+         * @param {string} scriptContext.type - Trigger type; use values from the context.UserEventType enum
+         * @param {Form} scriptContext.form - Current form
+         * @param {ServletRequest} scriptContext.request - HTTP request information sent from the browser for a client action only.
+         * @since 2015.2
+         */
+        const beforeLoad = (scriptContext) => {
+            try {
+                if (scriptContext.type !== scriptContext.UserEventType.VIEW
+                    || runtime.executionContext !== runtime.ContextType.USER_INTERFACE) {
+                    return;
+                }
+
+                const form = scriptContext.form;
+                const newRecord = scriptContext.newRecord;
+                const parameters = scriptContext.request ? scriptContext.request.parameters : {};
+
+                // The message is rendered as HTML and anyone can put one in a link, so it is shown as plain text
+                if (parameters[PARAM_MESSAGE]) {
+                    form.addPageInitMessage({
+                        type: MESSAGE_TYPES[parameters[PARAM_MESSAGE_TYPE]] || message.Type.INFORMATION,
+                        title: 'Send Remittance',
+                        message: achRemittance.escapeHtml(parameters[PARAM_MESSAGE])
+                    });
+                }
+
+                // Sent payments are resent from the remittance dashboard, excluded and unapproved ones are never sent
+                const approvalStatus = String(newRecord.getValue({ fieldId: 'approvalstatus' }) || '');
+                if (newRecord.getValue({ fieldId: getSentField(newRecord.type) }) === true
+                    || newRecord.getValue({ fieldId: achRemittance.VENDOR_PAYMENT_FIELD_EXCLUDE }) === true
+                    || (approvalStatus && approvalStatus !== APPROVAL_STATUS_APPROVED)) {
+                    return;
+                }
+
+                form.clientScriptModulePath = CLIENT_SCRIPT_PATH;
+                const tokenField = form.addField({
+                    id: SEND_TOKEN_FIELD,
+                    type: serverWidget.FieldType.TEXT,
+                    label: 'Send Remittance Token'
+                });
+                tokenField.updateDisplayType({ displayType: serverWidget.FieldDisplayType.HIDDEN });
+                tokenField.defaultValue = achRemittance.createSendToken(newRecord.id);
+                form.addButton({
+                    id: BUTTON_ID,
+                    label: 'Send Remittance',
+                    functionName: 'sendRemittance'
+                });
+            } catch (e) {
+                log.error('beforeLoad', e);
+            }
+        }
+
+        /**
+         * Defines the function definition that is executed after record is submitted.
+         * @param {Object} scriptContext
+         * @param {Record} scriptContext.newRecord - New record
+         * @param {Record} scriptContext.oldRecord - Old record
+         * @param {string} scriptContext.type - Trigger type; use values from the context.UserEventType enum
+         * @since 2015.2
+         */
+        const afterSubmit = (scriptContext) => {
+            const eventTypes = [
+                scriptContext.UserEventType.APPROVE,
+                scriptContext.UserEventType.EDIT,
+                scriptContext.UserEventType.XEDIT
+            ];
+            if (!isSendOnApproval() || eventTypes.indexOf(scriptContext.type) === -1) {
+                return;
+            }
+
+            const paymentId = scriptContext.newRecord.id;
+            try {
+                // An inline edit only carries the changed fields, so the current status is read back
+                const approvalStatus = search.lookupFields({
+                    type: search.Type.TRANSACTION,
+                    id: paymentId,
+                    columns: ['approvalstatus']
+                }).approvalstatus;
+                const newStatus = Array.isArray(approvalStatus) && approvalStatus.length > 0 ? String(approvalStatus[0].value) : '';
+                const oldStatus = scriptContext.oldRecord ? String(scriptContext.oldRecord.getValue({ fieldId: 'approvalstatus' }) || '') : '';
+
+                if (newStatus !== APPROVAL_STATUS_APPROVED || oldStatus === APPROVAL_STATUS_APPROVED) {
+                    return;
+                }
+
+                // Payments that are not eligible, wait for a retry, belong in a digest or fall outside the send window
+                // are left to the Map/Reduce
+                const outcome = achRemittance.sendPaymentRemittance(paymentId, {
+                    source: 'UE',
+                    applyRetryState: true,
+                    holdDigest: true,
+                    applySendWindow: true
+                });
+                log.audit('Remittance on approval', achRemittance.redact({ paymentId: paymentId, outcome: outcome }));
+            } catch (e) {
+                // Never blocks the approval, the nightly run picks the payment up instead
+                log.error('Error sending remittance on approval for payment ' + paymentId, e);
+            }
+        }
+
+        // Sent flag of the record's PAYMENT_TYPE, vendor payments and expense reimbursements share one
+        const getSentField = (recordType) => {
+            const paymentTypeKey = Object.keys(achRemittance.PAYMENT_TYPE)
+                .find((key) => achRemittance.PAYMENT_TYPE[key].recordType === recordType);
+            return paymentTypeKey ? achRemittance.PAYMENT_TYPE[paymentTypeKey].sentField : achRemittance.VENDOR_PAYMENT_FIELD_EMAIL_SENT;
+        };
+
+        const isSendOnApproval = () => {
+            const value = runtime.getCurrentScript().getParameter({ name: SCRIPT_PARAM_SEND_ON_APPROVAL });
+            return value === true || value === 'T';
+        };
+
+        return { beforeLoad, afterSubmit }
+
+    });